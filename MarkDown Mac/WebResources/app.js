@@ -4,31 +4,26 @@ const md = window.markdownit({
     html: true,
     linkify: true,
     typographer: true,
-    highlight: function (str, lang) {
-        if (lang && hljs.getLanguage(lang)) {
-            try {
-                return hljs.highlight(str, { language: lang }).value;
-            } catch (__) { }
-        }
-        return ''; // use external default escaping
-    }
+    highlight: highlightCode // Cached, see preview.js
 })
+    .use(markdownitFrontMatter) // Leading --- YAML ---, see frontmatter.js
     .use(window.markdownitEmoji)
     .use(window.markdownitSub)
     .use(window.markdownitSup)
-    .use(window.markdownitFootnote);
-// .use(window.markdownitKatex); // Still commenting out KaTeX as I didn't download configs fully properly yet via single file. Core plugins are safe.
-
-// Initialize Mermaid
-mermaid.initialize({
-    startOnLoad: false,
-    theme: document.body.classList.contains('theme-dark') ? 'dark' : 'default',
-    securityLevel: 'loose'
-});
+    .use(window.markdownitFootnote)
+    .use(window.texmath, mathOptions) // $inline$ and $$block$$ math, see math.js
+    .use(markdownitImageAttrs) // ![alt](src){width=320 align=center}
+    .use(markdownitTaskLists) // - [ ] / - [x], see tasks.js
+    .use(markdownitHeadingAnchors) // Heading ids and [[toc]], see outline.js
+    .use(markdownitWikiLinks) // [[Note]] links, see wikilinks.js
+    .use(markdownitPageBreaks) // <!-- pagebreak -->, see print.js
+    .use(markdownitCodeBlocks) // Line spans, {1,3-5} highlights, see code-blocks.js
+    .use(markdownitMermaid);
+
 
 // Editor Initialization
 const editor = CodeMirror(document.getElementById("editor"), {
-    mode: "markdown",
+    mode: "markdown-frontmatter", // Markdown with a YAML header, see frontmatter.js
     theme: document.body.classList.contains('theme-dark') ? "dracula" : "xq-light",
     lineNumbers: false,
     lineWrapping: true,
@@ -36,9 +31,9 @@ const editor = CodeMirror(document.getElementById("editor"), {
     autoCloseBrackets: true,
     placeholder: "Type your markdown here... (Drag & Drop images supported)",
     viewportMargin: Infinity,
-    extraKeys: {
+    extraKeys: Object.assign({
         "Enter": "newlineAndIndentContinueMarkdownList"
-    }
+    }, formattingKeyMap()) // Cmd-B, Cmd-I, Cmd-K, ... see formatting.js
 });
 
 // Custom List Continuation Handling (Fallback/Polyfill)
@@ -47,7 +42,7 @@ editor.addKeyMap({
         var doc = cm.getDoc();
         var cursor = doc.getCursor();
         var line = doc.getLine(cursor.line);
-        var listRegex = /^(\s*)([*+-]|\d+\.)(\s+)/;
+        var listRegex = /^(\s*)([*+-]|\d+\.)(\s+)(\[[ xX]\]\s+)?/;
         var match = line.match(listRegex);
 
         if (match) {
@@ -61,27 +56,14 @@ editor.addKeyMap({
                 var num = parseInt(bullet);
                 bullet = (num + 1) + ".";
             }
-            cm.replaceSelection("\n" + indent + bullet + " ");
+            var task = match[4] ? "[ ] " : ""; // Tasks continue unchecked
+            cm.replaceSelection("\n" + indent + bullet + " " + task);
         } else {
             cm.execCommand("newlineAndIndent");
         }
     }
 });
 
-
-// Editor Change Handler (Sync to Swift)
-editor.on("change", function () {
-    const content = editor.getValue();
-    updatePreview(content);
-    scanForImages(content); // Auto-process Base64
-    renderInlineImages();   // Update Image Widgets
-
-    // Send to Swift
-    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.textDidChange) {
-        window.webkit.messageHandlers.textDidChange.postMessage(content);
-    }
-});
-
 // Inline Image Widgets
 let currentWidgets = [];
 let currentMarks = [];
@@ -93,7 +75,7 @@ function renderInlineImages() {
 
     const doc = editor.getDoc();
     const lineCount = doc.lineCount();
-    const regex = /!\[(.*?)\]\((.*?)\)/g;
+    const regex = imageMarkdownRegex(); // ![alt](src){attrs}, see image-attrs.js
 
     for (let i = 0; i < lineCount; i++) {
         const lineText = doc.getLine(i);
@@ -104,6 +86,8 @@ function renderInlineImages() {
             const endCh = match.index + match[0].length;
             const altText = match[1];
             const src = match[2];
+            if (isUploadPlaceholder(src)) continue; // Has its own widget, see uploads.js
+            const attrs = parseImageAttrs(match[3]);
 
             // Create Visual Widget
             const wrapper = document.createElement('div');
@@ -119,16 +103,27 @@ function renderInlineImages() {
             img.style.maxWidth = '100%';
             img.style.borderRadius = '8px';
 
+            // Stored size & alignment
+            const width = imageSizeToCss(attrs.width || '');
+            if (width) {
+                img.style.width = width;
+                wrapper.style.width = width;
+            }
+            const height = imageSizeToCss(attrs.height || '');
+            if (height) img.style.height = height;
+            if (IMAGE_ALIGNMENTS.indexOf(attrs.align) !== -1) {
+                wrapper.classList.add('align-' + attrs.align);
+            }
+
             // Delete Button (X)
             const deleteBtn = document.createElement('div');
             deleteBtn.innerHTML = '×';
             deleteBtn.className = 'image-delete-btn';
             deleteBtn.onclick = (e) => {
                 e.stopPropagation();
-                // Remove the markdown text
-                const from = { line: i, ch: startCh };
-                const to = { line: i, ch: endCh };
-                doc.replaceRange("", from, to);
+                // Remove the markdown text (wherever the mark is now)
+                const range = mark.find();
+                if (range) doc.replaceRange("", range.from, range.to);
             };
 
             // Resize Handle
@@ -150,101 +145,27 @@ function renderInlineImages() {
                     selectRight: false
                 }
             );
+            wrapper.imageMark = mark; // Resize/drag write back through it
             currentMarks.push(mark);
         }
     }
     // No editor.refresh() needed here often, but good for measure
 }
 
-// Image Processor: Scan for Base64 and upload
+// Image Processor: Scan for Base64 and upload (see uploads.js)
 function scanForImages(content) {
     const regex = /!\[(.*?)\]\(data:image\/([a-zA-Z]+);base64,([^\)]+)\)/g;
+    const found = [];
     let match;
-
-    // We strictly find one match at a time to avoid index drift issues during replacement
-    if ((match = regex.exec(content)) !== null) {
-        const fullMatch = match[0];
-        const altText = match[1] || "Image";
-        // const type = match[2]; // png, jpeg
-        const base64 = match[3];
-        const id = "img_auto_" + Date.now();
-
-        // Immediate Replace with Placeholder
-        const doc = editor.getDoc();
-        const cursor = doc.getCursor();
-
-        // We need to locate this string in the editor to replace it range-wise
-        // A simple string replace on getValue() is easier but resets cursor.
-        // Let's use the range replacement if possible, or just value replacement and try to keep cursor.
-
-        // For stability, send to Swift first, then Swift calls replaceImagePlaceholder.
-        // But we MUST remove the Base64 immediately or it lags the editor.
-
-        const placeholder = `![Uploading ${altText}...](${id})`;
-        const newValue = content.replace(fullMatch, placeholder);
-
-        // Calculate new cursor?
-        // Simple approach: Set Value, restore cursor (approximate)
-        editor.setValue(newValue);
-        editor.setCursor(cursor);
-
-        // Send to Swift
-        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.saveImage) {
-            window.webkit.messageHandlers.saveImage.postMessage({ base64: base64, id: id });
-        }
-    }
-}
-
-// Sync from Swift (Called by Native App)
-window.updateContent = function (text) {
-    if (text !== editor.getValue()) {
-        const cursor = editor.getCursor();
-        editor.setValue(text);
-        editor.setCursor(cursor);
-        renderInlineImages(); // Init images on load
-        updatePreview(text);
-    }
-};
-
-// Theme Sync (Called by Native App)
-window.setTheme = function (themeName) {
-    const body = document.body;
-    if (themeName === 'dark') {
-        body.classList.add('theme-dark');
-        body.classList.remove('theme-light');
-        editor.setOption("theme", "dracula");
-        document.getElementById('hljs-theme').href = "lib/highlight/github-dark.min.css";
-        mermaid.initialize({ startOnLoad: true, theme: 'dark' });
-    } else {
-        body.classList.add('theme-light');
-        body.classList.remove('theme-dark');
-        editor.setOption("theme", "xq-light");
-        document.getElementById('hljs-theme').href = "lib/highlight/github.min.css"; // You might need to download github.min.css too if strictly local
-        mermaid.initialize({ startOnLoad: true, theme: 'default' });
-    }
-    setTimeout(updatePreview, 100); // Re-render preview with new theme
-};
-
-// Native Image Handling (Paste & Drop)
-function handleImageUpload(blob, doc, cursor) {
-    // Read blob
-    const reader = new FileReader();
-    reader.onload = function (event) {
-        const base64 = event.target.result.split(',')[1]; // Remove data:image... prefix
-        const id = "img_" + Date.now();
-
-        // Insert placeholder
-        const placeholder = `![Uploading Image...](${id})`;
-        doc.replaceRange(placeholder, cursor);
-
-        // Send to Swift
-        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.saveImage) {
-            window.webkit.messageHandlers.saveImage.postMessage({ base64: base64, id: id });
-        } else {
-            console.error("Swift Bridge 'saveImage' not found.");
-        }
-    };
-    reader.readAsDataURL(blob);
+    while ((match = regex.exec(content)) !== null) found.push(match);
+
+    // Last first, so earlier offsets stay valid. The Base64 must leave the
+    // text right away or it lags the editor.
+    found.reverse().forEach(match => {
+        const from = editor.posFromIndex(match.index);
+        const to = editor.posFromIndex(match.index + match[0].length);
+        uploadInlineImage(from, to, match[1] || "Image", match[3]);
+    });
 }
 
 // Improved Paste Handler
@@ -254,84 +175,45 @@ editor.on("paste", function (cm, event) {
         const item = items[index];
         if (item.kind === 'file' && item.type.match(/^image/)) {
             event.preventDefault();
-            handleImageUpload(item.getAsFile(), cm.getDoc(), cm.getDoc().getCursor());
+            uploadImageFile(item.getAsFile(), cm.getCursor());
             return;
         }
     }
-    // If we didn't handle it as a file, the default paste happens.
-    // If the clipboard contained HTML that converts to Base64 image,
-    // our scanForImages() will catch it on the next change event.
+    if (handleRichPaste(cm, event)) return; // HTML, URLs over a selection, plain text; see paste.js
+    if (pasteAsTable(cm, event)) return; // Tab separated text or CSV / TSV data, see tables.js
+    // Otherwise the default (plain text) paste happens
 });
 
 editor.on("drop", (cm, e) => {
     e.preventDefault();
     const files = e.dataTransfer.files;
     if (files && files.length > 0) {
-        const file = files[0];
-        if (file.type.startsWith("image/")) {
-            // Calculate cursor position from drop coordinates
-            const pos = cm.coordsChar({ left: e.clientX, top: e.clientY });
-            handleImageUpload(file, cm.getDoc(), pos);
-        }
+        // Calculate cursor position from drop coordinates
+        const pos = cm.coordsChar({ left: e.clientX, top: e.clientY }, 'window');
+        uploadImageFiles(files, pos);
     }
 });
 
-// Called by Swift after saving image
-window.replaceImagePlaceholder = function (id, path) {
-    const content = editor.getValue();
-    const newMarkdown = `![Image](${path})`;
-    const placeholder = `![Uploading Image...](${id})`;
+initSanitizer();
+initThemes(); // Before the first render: sets up Mermaid
 
-    // Replace text
-    const newValue = content.replace(placeholder, newMarkdown);
-    if (newValue !== content) {
-        const cursor = editor.getCursor();
-        editor.setValue(newValue);
-        editor.setCursor(cursor);
-    }
-};
-
-// Initial Preview
+// Initial Preview (rendering lives in preview.js)
 updatePreview(editor.getValue());
-
-// Single Preview Function
-function updatePreview(markdown) {
-    if (!markdown) return;
-
-    // Render Markdown
-    let result = md.render(markdown);
-
-    // Post-process for Mermaid
-    const mermaidBlocks = tempDiv.querySelectorAll('pre code.language-mermaid');
-    mermaidBlocks.forEach((block) => {
-        const graphDefinition = block.textContent;
-        const pre = block.parentElement;
-        const div = document.createElement('div');
-        div.className = 'mermaid';
-        div.textContent = graphDefinition;
-        pre.replaceWith(div);
-    });
-
-    // Update DOM
-    const previewDiv = document.getElementById('preview');
-    previewDiv.innerHTML = tempDiv.innerHTML;
-
-    // Highlight Code
-    if (window.hljs) {
-        previewDiv.querySelectorAll('pre code').forEach((block) => {
-            if (!block.classList.contains('language-mermaid')) {
-                hljs.highlightBlock(block);
-            }
-        });
-    }
-
-    // Initialize Mermaid
-    if (window.mermaid) {
-        try {
-            mermaid.init(undefined, previewDiv.querySelectorAll('.mermaid'));
-        } catch (e) { console.error("Mermaid Init Error:", e); }
-    }
-}
+initScrollSync();
+initTaskLists();
+initTables();
+initOutline();
+initFind();
+initWikiLinks();
+initFrontMatter();
+initExport();
+initPrint();
+initWritingModes();
+initPaste();
+initCodeBlocks();
+initDiagrams();
+initHistory();
+setupImageInteraction();
 
 // Resizer Logic
 const resizer = document.getElementById('resizer');
@@ -358,249 +240,102 @@ function handleMouseMove(e) {
     }
 }
 
-// Formatting Bridge
-window.toggleFormat = function (type) {
-    const doc = editor.getDoc();
-    const cursor = doc.getCursor();
-    const selection = doc.getSelection();
-
-    if (type === 'bold') {
-        if (selection) {
-            doc.replaceSelection(`**${selection}**`);
-        } else {
-            doc.replaceRange('****', cursor);
-            doc.setCursor({ line: cursor.line, ch: cursor.ch + 2 });
-        }
-    } else if (type === 'italic') {
-        if (selection) {
-            doc.replaceSelection(`*${selection}*`);
-        } else {
-            doc.replaceRange('**', cursor);
-            doc.setCursor({ line: cursor.line, ch: cursor.ch + 1 });
-        }
-    } else if (type === 'heading') {
-        const line = doc.getLine(cursor.line);
-        if (line.startsWith('# ')) {
-            doc.replaceRange('## ', { line: cursor.line, ch: 0 }, { line: cursor.line, ch: 2 });
-        } else if (line.startsWith('## ')) {
-            doc.replaceRange('### ', { line: cursor.line, ch: 0 }, { line: cursor.line, ch: 3 });
-        } else if (line.startsWith('### ')) {
-            doc.replaceRange('', { line: cursor.line, ch: 0 }, { line: cursor.line, ch: 4 });
-        } else {
-            doc.replaceRange('# ', { line: cursor.line, ch: 0 });
-        }
-    } else if (type === 'list') {
-        const line = doc.getLine(cursor.line);
-        if (line.startsWith('- ')) {
-            doc.replaceRange('', { line: cursor.line, ch: 0 }, { line: cursor.line, ch: 2 });
-        } else {
-            doc.replaceRange('- ', { line: cursor.line, ch: 0 });
-        }
-    }
-    editor.focus();
-};
-
-// View Mode & Canvas Toggle
-let isCanvasMode = false;
-let canvasSVG = null;
-let isDrawing = false;
-let currentPath = null;
-let currentPoints = [];
-
-window.setViewMode = function (mode) {
+// View Mode & Canvas Toggle (drawing lives in canvas.js)
+function setViewMode(mode, options) {
     if (mode === 'toggleCanvas') {
         toggleCanvasMode();
         return;
     }
+    // Focus, typewriter and measure options, see writing.js
+    if (applyWritingMode(mode, options || {})) return;
 
     // ... existing preview logic ...
     const editorPane = document.getElementById('editor-pane');
     const previewPane = document.getElementById('preview-pane');
+    document.body.classList.toggle('split-view', mode === 'split');
+    setDistractionFree(mode === 'distractionFree'); // Editor only, centred at the measure
 
     if (mode === 'preview') {
         editorPane.style.display = 'none';
         previewPane.style.display = 'block';
         updatePreview(editor.getValue());
+    } else if (mode === 'split') {
+        // Editor and preview side by side, scroll-synced (see scroll-sync.js)
+        editorPane.style.display = 'flex';
+        previewPane.style.display = 'block';
+        editor.refresh();
+        updatePreview(editor.getValue());
     } else {
         editorPane.style.display = 'flex';
         previewPane.style.display = 'none';
         editor.refresh();
         editor.focus();
     }
-};
-
-function toggleCanvasMode() {
-    isCanvasMode = !isCanvasMode;
-    const body = document.body;
-
-    if (isCanvasMode) {
-        body.classList.add('canvas-mode');
-        // Initialize Canvas Layer if needed
-        if (!canvasSVG) {
-            initCanvasLayer();
-        }
-        canvasSVG.style.pointerEvents = 'auto';
-        editor.setOption('readOnly', true); // Disable text editing while drawing
-    } else {
-        body.classList.remove('canvas-mode');
-        if (canvasSVG) canvasSVG.style.pointerEvents = 'none';
-        editor.setOption('readOnly', false);
-    }
-}
-
-function initCanvasLayer() {
-    // Create SVG Overlay
-    const editorEl = document.getElementById('editor');
-    canvasSVG = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    canvasSVG.id = 'drawing-layer';
-    canvasSVG.style.position = 'absolute';
-    canvasSVG.style.top = '0';
-    canvasSVG.style.left = '0';
-    canvasSVG.style.width = '100%';
-    canvasSVG.style.height = '100%';
-    canvasSVG.style.zIndex = '100'; // Above text
-    canvasSVG.style.cursor = 'crosshair';
-    canvasSVG.style.overflow = 'visible'; // Let strokes go anywhere
-
-    editorEl.appendChild(canvasSVG);
-
-    // Event Listeners for Drawing
-    canvasSVG.addEventListener('mousedown', startDraw);
-    canvasSVG.addEventListener('mousemove', draw);
-    canvasSVG.addEventListener('mouseup', endDraw);
-
-    // Allow pass-through interaction for Images?
-    // We need to handle Image Dragging separately.
-    setupImageInteraction();
-}
-
-// Canvas Undo Support
-document.addEventListener('keydown', function (e) {
-    if (isCanvasMode && (e.metaKey || e.ctrlKey) && e.key === 'z') {
-        e.preventDefault();
-        // Undo last stroke
-        if (canvasSVG && canvasSVG.lastChild) {
-            canvasSVG.removeChild(canvasSVG.lastChild);
-        }
-    }
-});
-
-function startDraw(e) {
-    // Note: If clicking on a resize handle, do NOT draw.
-    if (e.target.classList.contains('resize-handle')) return;
-
-    if (!isCanvasMode) return;
-    isDrawing = true;
-    const pt = getCoords(e);
-    currentPoints = [pt];
-
-    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    path.setAttribute("stroke", "rgba(220, 50, 50, 0.9)"); // Red pencil
-    path.setAttribute("stroke-width", "3");
-    path.setAttribute("fill", "none");
-    path.setAttribute("stroke-linecap", "round");
-    path.setAttribute("stroke-linejoin", "round");
-
-    canvasSVG.appendChild(path);
-    currentPath = path;
-}
-
-function draw(e) {
-    if (!isDrawing || !currentPath) return;
-    const pt = getCoords(e);
-    currentPoints.push(pt);
-
-    // Simple polyline
-    const d = currentPoints.reduce((acc, point, i) => {
-        return acc + (i === 0 ? "M" : "L") + point.x + "," + point.y;
-    }, "");
-
-    currentPath.setAttribute("d", d);
-}
-
-// Persistence Logic
-function getDrawingData() {
-    if (!canvasSVG) return [];
-    const paths = Array.from(canvasSVG.querySelectorAll('path')).map(p => p.getAttribute('d'));
-    return paths;
-}
-
-function restoreDrawingData(paths) {
-    if (!canvasSVG) initCanvasLayer();
-    // Clear existing
-    while (canvasSVG.firstChild) {
-        canvasSVG.removeChild(canvasSVG.firstChild);
-    }
-
-    paths.forEach(d => {
-        const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-        path.setAttribute("stroke", "rgba(220, 50, 50, 0.9)");
-        path.setAttribute("stroke-width", "3");
-        path.setAttribute("fill", "none");
-        path.setAttribute("stroke-linecap", "round");
-        path.setAttribute("stroke-linejoin", "round");
-        path.setAttribute("d", d);
-        canvasSVG.appendChild(path);
-    });
 }
 
 // Flag to prevent Echo Loops
 let isRemoteUpdate = false;
 
-// Update Content (Sync from Swift)
-window.updateContent = function (text) {
-    // ... (drawing extraction logic) ... 
-    // Format: <!-- DRAWING_DATA:["M...", "M..."] -->
+// Stored content split into markdown and drawing data
+// Format: <!-- DRAWING_DATA:{"version":3,"strokes":[...]} -->
+// (older notes store a plain array of path strings, see parseDrawingData)
+function splitStoredContent(content) {
     const drawingRegex = /<!-- DRAWING_DATA:(.*?) -->$/s;
-    const match = text.match(drawingRegex);
-    let cleanText = text;
-    let drawingData = [];
+    const match = content.match(drawingRegex);
+    let text = content;
+    let drawing = [];
 
     if (match) {
         try {
-            drawingData = JSON.parse(match[1]);
-            cleanText = text.replace(drawingRegex, '').trim();
+            drawing = JSON.parse(match[1]);
+            text = content.replace(drawingRegex, '').trim();
         } catch (e) { console.error(e); }
-    } else {
-        if (canvasSVG) { while (canvasSVG.firstChild) { canvasSVG.removeChild(canvasSVG.firstChild); } }
     }
+    return { text: text, drawing: drawing };
+}
+
+// Update Content (Sync from Swift)
+function setContent(text) {
+    const stored = splitStoredContent(text);
+    const cleanText = stored.text;
+    const drawingData = stored.drawing;
 
-    if (cleanText !== editor.getValue()) {
+    const replaced = cleanText !== editor.getValue(); // Not the host echoing a save back
+    if (replaced) {
         isRemoteUpdate = true; // Set flag
         const cursor = editor.getCursor();
         editor.setValue(cleanText);
         editor.setCursor(cursor);
+        syncUploadPlaceholders();
         renderInlineImages();
         isRemoteUpdate = false; // Clear flag
     }
 
     // Always update preview/canvas
-    updatePreview(cleanText, drawingData);
+    updatePreview(cleanText);
     restoreDrawingData(drawingData);
-};
+    reportTaskProgress();
+    reportNoteMetadata();
+    if (replaced) resetRevisionSchedule(getContent()); // history.js
+}
 
 // ...
 
 // Hook into Change
 function notifyChange() {
     if (isRemoteUpdate) return; // SKIP if update came from Swift
+    bridgeSend('textDidChange', { text: getContent() });
+    scheduleRevision(); // history.js
+}
 
-    const content = editor.getValue();
-    const paths = getDrawingData();
-    let finalContent = content;
-    if (paths.length > 0) {
-        finalContent += `\n\n<!-- DRAWING_DATA:${JSON.stringify(paths)} -->`;
-    }
-
-    // ...
-    // Update Drawing Live Preview
-    if (document.getElementById('preview-pane').style.display === 'block') {
-        updatePreview(content, paths);
-    }
-
-    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.textDidChange) {
-        window.webkit.messageHandlers.textDidChange.postMessage(finalContent);
+// Content as the host stores it: markdown plus the drawing comment
+function getContent() {
+    const drawing = getDrawingData();
+    let content = editor.getValue();
+    if (drawing.strokes.length > 0) {
+        content += `\n\n<!-- DRAWING_DATA:${JSON.stringify(drawing)} -->`;
     }
+    return content;
 }
 
 // Modify editor handlers
@@ -613,36 +348,24 @@ editor.on("change", function (cm, changeObj) {
     // distinct handling in verify:
 
     if (!isRemoteUpdate) {
-        updatePreview(content, getDrawingData());
+        schedulePreview(); // Debounced, keeps typing responsive
         scanForImages(content);
+        syncUploadPlaceholders();
         renderInlineImages();
+        reportTaskProgress();
+        reportNoteMetadata();
         notifyChange();
     }
 });
 
-function endDraw() {
-    isDrawing = false;
-    currentPath = null;
-    currentPoints = [];
-    notifyChange(); // Save drawing immediately
-}
-
-function getCoords(e) {
-    const rect = canvasSVG.getBoundingClientRect();
-    return {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top + window.scrollY // Standard scroll
-        // CodeMirror scroll? If inside CM, use CM coords.
-    };
-}
-
 // Image Interaction (Drag/Resize)
+// Changes are written back into the markdown as {width=… align=…}
 function setupImageInteraction() {
-    // Delegate events for images inside editor
+    // Delegate events for images inside editor. Capture phase, so CodeMirror
+    // does not turn the press into a cursor move first.
     document.addEventListener('mousedown', function (e) {
-        if (!isCanvasMode) return;
-
         let target = e.target;
+        if (!target.classList) return;
 
         // Resize Handle Click?
         if (target.classList.contains('resize-handle')) {
@@ -658,7 +381,7 @@ function setupImageInteraction() {
         if (target.classList.contains('inline-image-wrapper')) {
             startDragImage(e, target);
         }
-    });
+    }, true);
 }
 
 function startResizeImage(e, wrapper) {
@@ -670,16 +393,17 @@ function startResizeImage(e, wrapper) {
 
     const img = wrapper.querySelector('img');
     const startWidth = img.clientWidth;
-    const startHeight = img.clientHeight;
+    let newWidth = startWidth;
 
     function onMove(moveEvent) {
         moveEvent.preventDefault();
         const dx = moveEvent.clientX - startX;
         // Simple width resize
-        const newWidth = startWidth + dx;
-        if (newWidth > 50) { // Min width
+        if (startWidth + dx > 50) { // Min width
+            newWidth = startWidth + dx;
             img.style.maxWidth = 'none'; // Unlock
             img.style.width = newWidth + 'px';
+            img.style.height = ''; // Keep the aspect ratio
             wrapper.style.width = newWidth + 'px'; // Wrapper follows
         }
     }
@@ -687,6 +411,9 @@ function startResizeImage(e, wrapper) {
     function onUp() {
         document.removeEventListener('mousemove', onMove);
         document.removeEventListener('mouseup', onUp);
+        if (Math.round(newWidth) !== Math.round(startWidth) && wrapper.imageMark) {
+            updateImageAttrs(wrapper.imageMark, { width: Math.round(newWidth), height: null });
+        }
     }
 
     document.addEventListener('mousemove', onMove);
@@ -701,37 +428,44 @@ function startDragImage(e, el) {
     let startX = e.clientX;
     let startY = e.clientY;
 
-    // We need to make it absolute positioned if it isn't yet?
-    // CM widgets are static. To move them "anywhere", we might need to detach them?
-    // Or just use transform translate.
+    // The widget follows the pointer with a transform; on release the drop
+    // point decides alignment (left/center/right third of the text column)
+    // and the line the image moves to.
 
     function onMove(moveEvent) {
         const dx = moveEvent.clientX - startX;
         const dy = moveEvent.clientY - startY;
-
-        // This moves relative to current flow position
-        const currentTransform = el.style.transform || 'translate(0px, 0px)';
-        // Parse current (naive)
-        // Ideally tracking total delta
         el.style.transform = `translate(${dx}px, ${dy}px)`;
-        // NOTE: This resets on re-render. Ideally we update Markdown meta-data/attributes.
     }
 
-    function onUp() {
+    function onUp(upEvent) {
         document.removeEventListener('mousemove', onMove);
         document.removeEventListener('mouseup', onUp);
+        el.style.transform = '';
+
+        if (Math.hypot(upEvent.clientX - startX, upEvent.clientY - startY) < 4 || !el.imageMark) return; // A click
+
+        const column = editor.getWrapperElement().querySelector('.CodeMirror-lines').getBoundingClientRect();
+        const position = (upEvent.clientX - column.left) / column.width;
+        const align = position < 1 / 3 ? 'left' : position > 2 / 3 ? 'right' : 'center';
+        const target = editor.coordsChar({ left: upEvent.clientX, top: upEvent.clientY }, 'window');
+        moveImageToLine(el.imageMark, target.line, { align: align });
     }
 
     document.addEventListener('mousemove', onMove);
     document.addEventListener('mouseup', onUp);
 }
 
-// Bridge to Swift
-window.exportPDF = () => {
-    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.appBridge) {
-        window.webkit.messageHandlers.appBridge.postMessage({ action: 'exportPDF' });
-    } else {
-        // Fallback or print
-        window.print();
-    }
-};
+// Bridge to Swift (protocol in bridge.js)
+onBridgeMessage('setContent', payload => {
+    setNoteTrusted(payload.trusted === true, false); // Per note, see sanitize.js
+    setContent(payload.text);
+});
+onBridgeMessage('getContent', () => ({ text: getContent() }));
+onBridgeMessage('setViewMode', payload => setViewMode(payload.mode, payload));
+onBridgeMessage('toggleFormat', payload => {
+    const result = toggleFormat(payload.format, { language: payload.language, url: payload.url });
+    return Promise.resolve(result).then(applied => ({ applied: applied !== false }));
+});
+
+initBridge();
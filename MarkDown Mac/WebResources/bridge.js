@@ -0,0 +1,281 @@
+// Native Bridge
+// The only channel between the web layer and the host app. Every message is
+// an envelope:
+//
+//   { bridge: 1, kind: 'event' | 'request' | 'response', name, id, payload, error }
+//
+// Requests carry an id; the other side answers with a response carrying the
+// same id and either a payload or error: { code, message }. Events get no
+// answer. The page posts envelopes to window.webkit.messageHandlers.bridge
+// and the host delivers its own through window.bridgeReceive(envelope).
+//
+// On start the page sends a `hello` request advertising its version and the
+// messages it handles; the host answers with its own. Without a native host
+// (plain browser, headless test) a stand-in can be plugged in with
+// installBridgeHost(), see mock-host.js.
+
+const BRIDGE_VERSION = 1;
+const BRIDGE_REQUEST_TIMEOUT_MS = 15000;
+
+// Payload schemas. A trailing '?' marks an optional field.
+// Page -> host
+const BRIDGE_HOST_MESSAGES = {
+    hello: { version: 'number', capabilities: 'array' },     // request -> { version, capabilities }
+    textDidChange: { text: 'string' },                       // event
+    saveImage: { id: 'string', base64: 'string' },           // request -> { path }
+    exportPDF: { title: 'string?', header: 'string?', footer: 'string?' }, // request, #print-root is ready; answer once the PDF is made
+    orphanedStrokes: { count: 'number' },                    // event
+    taskProgress: { done: 'number', total: 'number' },       // event
+    listThemes: {},                                          // request -> { themes: [theme] }, see themes.js
+    exportDiagram: { name: 'string', format: 'string', data: 'string' }, // event; SVG markup or base64 PNG
+    copyText: { text: 'string' },                            // event, code block copy buttons
+    saveRevision: { text: 'string', reason: 'string' },      // request -> { id }; reason: 'auto' | 'manual' | 'restore'
+    listRevisions: {},                                       // request -> { revisions: [{ id, date, reason }] }, newest first
+    loadRevision: { id: 'string' },                          // request -> { text }, see history.js
+    listNotes: {},                                           // request -> { notes: [title] }
+    openNote: { title: 'string', heading: 'string?' },       // event
+    noteMetadata: {                                          // event, see frontmatter.js
+        title: 'string?', created: 'string?', tags: 'array', aliases: 'array', fields: 'object'
+    }
+};
+
+// Host -> page (as events, or as requests when the host wants the result)
+const BRIDGE_PAGE_MESSAGES = {
+    setContent: { text: 'string', trusted: 'boolean?' },     // trusted: render raw HTML, see sanitize.js
+    setTrusted: { trusted: 'boolean' },
+    getContent: {},                                          // -> { text }
+    getTaskProgress: {},                                     // -> { done, total }
+    getNoteMetadata: {},                                     // -> noteMetadata payload
+    setTheme: { theme: 'string', light: 'string?', dark: 'string?' }, // -> { theme }
+    registerTheme: { theme: 'object' },                      // -> { id }
+    getThemes: {},                                           // -> { themes, active, followSystem }
+    setViewMode: { mode: 'string', focus: 'string?', typewriter: 'boolean?', measure: 'number?' },
+    toggleFormat: { format: 'string', language: 'string?', url: 'string?' },
+    tableCommand: { command: 'string', text: 'string?' },    // -> { applied }; text: for pasteTable, else the clipboard
+    setCodeBlockOptions: { lineNumbers: 'boolean?' },
+    pasteAsPlainText: { text: 'string?' },                   // -> { pasted }; no text: read the clipboard
+    exportPDF: { titlePage: 'boolean?', header: 'string?', footer: 'string?' },
+    setPrintOptions: { titlePage: 'boolean?', header: 'string?', footer: 'string?' },
+    exportDocument: { format: 'string' },                    // 'html' | 'markdown' -> { name, files, missing }
+    imageUploadProgress: { id: 'string', fraction: 'number' },
+    setCanvasTool: { tool: 'string' },
+    setCanvasStyle: { color: 'string?', width: 'number?', opacity: 'number?' },
+    canvasAction: { action: 'string' },
+    outlineAction: { action: 'string' },                     // -> { handled }
+    historyAction: { action: 'string' },                     // 'show' | 'hide' | 'toggle' | 'snapshot' -> { handled }
+    openFind: { query: 'string?', replace: 'boolean?' },     // -> { matches }
+    closeFind: {},
+    setNoteList: { notes: 'array' },                         // [title] or [{ title }]
+    setBacklinks: { notes: 'array' },                        // [{ title, excerpt? }]
+    setFrontMatterVisible: { visible: 'boolean' },
+    restoreOrphanedStrokes: {},
+    discardOrphanedStrokes: {}
+};
+
+const bridgeHandlers = {};        // name -> handler(payload), see onBridgeMessage
+const pendingBridgeRequests = new Map(); // id -> { resolve, reject, timer }
+let bridgeRequestCounter = 0;
+let bridgeTransport = null;       // { postMessage(envelope) }
+let bridgeHost = null;            // Handshake answer: { version, capabilities }
+
+function bridgeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// --- Schema ---
+
+function bridgeValueType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Error message for a payload that does not match the schema, or null
+function validateBridgePayload(schemas, name, payload) {
+    const schema = schemas[name];
+    if (!schema) return `Unknown message "${name}"`;
+    if (bridgeValueType(payload) !== 'object') return `"${name}" expects an object payload`;
+
+    for (const field of Object.keys(schema)) {
+        const optional = schema[field].endsWith('?');
+        const type = schema[field].replace('?', '');
+        if (payload[field] === undefined) {
+            if (!optional) return `"${name}" is missing "${field}"`;
+        } else if (bridgeValueType(payload[field]) !== type) {
+            return `"${name}.${field}" must be a ${type}`;
+        }
+    }
+    return null;
+}
+
+// --- Transport ---
+
+function defaultBridgeTransport() {
+    const handlers = window.webkit && window.webkit.messageHandlers;
+    if (!handlers || !handlers.bridge) return null;
+    return { postMessage: envelope => handlers.bridge.postMessage(envelope) };
+}
+
+// Plugs in a host (native stand-in, test double): { postMessage(envelope) }.
+// The host answers through window.bridgeReceive.
+function installBridgeHost(transport) {
+    bridgeTransport = transport;
+}
+
+function hasBridgeHost() {
+    return !!(bridgeTransport || defaultBridgeTransport());
+}
+
+function postEnvelope(envelope) {
+    const transport = bridgeTransport || defaultBridgeTransport();
+    if (!transport) throw bridgeError('no-host', 'No host is connected');
+    transport.postMessage(Object.assign({ bridge: BRIDGE_VERSION }, envelope));
+}
+
+// --- Page -> host ---
+
+// Fire and forget. Dropped (with a warning) when no host is connected.
+function bridgeSend(name, payload) {
+    payload = payload || {};
+    const invalid = validateBridgePayload(BRIDGE_HOST_MESSAGES, name, payload);
+    if (invalid) {
+        console.error("Bridge:", invalid);
+        return false;
+    }
+    try {
+        postEnvelope({ kind: 'event', name: name, payload: payload });
+        return true;
+    } catch (e) {
+        console.warn("Bridge:", e.message, `("${name}" not sent)`);
+        return false;
+    }
+}
+
+// Promise of the host's answer. Rejects with an Error carrying a .code on
+// error replies, timeouts and when no host is connected.
+function bridgeRequest(name, payload, timeoutMs) {
+    payload = payload || {};
+    const invalid = validateBridgePayload(BRIDGE_HOST_MESSAGES, name, payload);
+    if (invalid) return Promise.reject(bridgeError('invalid', invalid));
+
+    bridgeRequestCounter++;
+    const id = 'page-' + bridgeRequestCounter;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingBridgeRequests.delete(id);
+            reject(bridgeError('timeout', `"${name}" timed out`));
+        }, timeoutMs || BRIDGE_REQUEST_TIMEOUT_MS);
+        pendingBridgeRequests.set(id, { resolve: resolve, reject: reject, timer: timer });
+
+        try {
+            postEnvelope({ kind: 'request', name: name, id: id, payload: payload });
+        } catch (e) {
+            clearTimeout(timer);
+            pendingBridgeRequests.delete(id);
+            reject(e);
+        }
+    });
+}
+
+function hostSupports(name) {
+    return !!(bridgeHost && bridgeHost.capabilities.indexOf(name) !== -1);
+}
+
+// --- Host -> page ---
+
+// handler(payload) may return a value or a Promise; for requests that is
+// the response payload. Throwing answers with an error response.
+function onBridgeMessage(name, handler) {
+    if (!BRIDGE_PAGE_MESSAGES[name]) throw bridgeError('invalid', `Unknown message "${name}"`);
+    bridgeHandlers[name] = handler;
+}
+
+function respondToHost(id, payload, error) {
+    const envelope = { kind: 'response', id: id };
+    if (error) {
+        envelope.error = { code: error.code || 'failed', message: error.message || String(error) };
+    } else {
+        envelope.payload = payload === undefined || payload === null ? {} : payload;
+    }
+    try {
+        postEnvelope(envelope);
+    } catch (e) { console.warn("Bridge:", e.message); }
+}
+
+function handleBridgeResponse(envelope) {
+    const pending = pendingBridgeRequests.get(envelope.id);
+    if (!pending) return; // Timed out already
+    pendingBridgeRequests.delete(envelope.id);
+    clearTimeout(pending.timer);
+
+    if (envelope.error) {
+        pending.reject(bridgeError(envelope.error.code || 'failed', envelope.error.message || 'Request failed'));
+    } else {
+        pending.resolve(envelope.payload || {});
+    }
+}
+
+function handleBridgeMessage(envelope) {
+    const isRequest = envelope.kind === 'request';
+    const payload = envelope.payload || {};
+    const fail = (code, message) => {
+        if (isRequest) respondToHost(envelope.id, null, bridgeError(code, message));
+        else console.error("Bridge:", message);
+    };
+
+    const invalid = validateBridgePayload(BRIDGE_PAGE_MESSAGES, envelope.name, payload);
+    if (invalid) return fail('invalid', invalid);
+    const handler = bridgeHandlers[envelope.name];
+    if (!handler) return fail('unsupported', `"${envelope.name}" is not handled`);
+
+    Promise.resolve()
+        .then(() => handler(payload))
+        .then(result => { if (isRequest) respondToHost(envelope.id, result); })
+        .catch(e => {
+            console.error("Bridge:", envelope.name, e);
+            if (isRequest) respondToHost(envelope.id, null, e);
+        });
+}
+
+// Entry point for the host. Accepts an envelope object or its JSON.
+window.bridgeReceive = function (envelope) {
+    if (typeof envelope === 'string') {
+        try {
+            envelope = JSON.parse(envelope);
+        } catch (e) {
+            console.error("Bridge: unreadable message", e);
+            return;
+        }
+    }
+    if (!envelope || envelope.bridge !== BRIDGE_VERSION) {
+        console.error("Bridge: unsupported message version", envelope && envelope.bridge);
+        return;
+    }
+    if (envelope.kind === 'response') handleBridgeResponse(envelope);
+    else handleBridgeMessage(envelope);
+};
+
+// --- Handshake ---
+
+function initBridge() {
+    if (!hasBridgeHost()) {
+        console.warn("Bridge: no host connected, changes are not saved.");
+        return Promise.resolve(null);
+    }
+    return bridgeRequest('hello', {
+        version: BRIDGE_VERSION,
+        capabilities: Object.keys(bridgeHandlers)
+    }).then(host => {
+        bridgeHost = {
+            version: host.version || BRIDGE_VERSION,
+            capabilities: Array.isArray(host.capabilities) ? host.capabilities : []
+        };
+        document.dispatchEvent(new CustomEvent('bridgeready', { detail: bridgeHost }));
+        return bridgeHost;
+    }).catch(e => {
+        console.error("Bridge: handshake failed", e);
+        return null;
+    });
+}
@@ -0,0 +1,312 @@
+// Canvas Selection (select / lasso tools)
+// Marquee or lasso selection of strokes, then move (drag inside the box),
+// scale (corner handles), restyle, delete, duplicate and copy/paste.
+// Every edit is a single commitStrokes() call, so it is one undo step.
+//
+// The stroke clipboard is kept in memory and mirrored to localStorage, so
+// strokes can be pasted into another note (the web view is reused per note).
+
+const STROKE_CLIPBOARD_KEY = 'markdownMac.strokeClipboard';
+const SELECTION_PADDING = 4;
+const HANDLE_SIZE = 8;
+const DUPLICATE_OFFSET = 16;
+
+let selectedStrokeIds = new Set();
+let selectionGesture = null;
+let strokeClipboard = null; // { version, strokes: [...] } with local coordinates
+let pasteCount = 0;
+
+function hasStrokeSelection() {
+    return selectedStrokeIds.size > 0;
+}
+
+function selectedStrokes() {
+    return strokes.filter(stroke => selectedStrokeIds.has(stroke.id));
+}
+
+function isSelectionGestureActive() {
+    return !!selectionGesture;
+}
+
+function setStrokeSelection(ids) {
+    selectedStrokeIds = new Set(ids);
+    renderSelectionOverlay();
+    return true;
+}
+
+function clearStrokeSelection() {
+    return setStrokeSelection([]);
+}
+
+function selectAllStrokes() {
+    return setStrokeSelection(strokes.filter(stroke => !stroke.orphaned).map(stroke => stroke.id));
+}
+
+// --- Geometry ---
+
+function localOutlinePoints(stroke, points) {
+    const local = copyStroke(stroke, { points: points || strokeLocalPoints(stroke) });
+    return [].concat.apply([], strokeOutlines(local));
+}
+
+function boundsOf(points, padding) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return {
+        left: Math.min.apply(null, xs) - padding,
+        top: Math.min.apply(null, ys) - padding,
+        right: Math.max.apply(null, xs) + padding,
+        bottom: Math.max.apply(null, ys) + padding
+    };
+}
+
+// pointsById: optional { id: localPoints } while a transform is being previewed
+function selectionBounds(pointsById) {
+    const all = [];
+    let padding = 0;
+    selectedStrokes().forEach(stroke => {
+        const points = pointsById ? pointsById[stroke.id] : null;
+        localOutlinePoints(stroke, points).forEach(p => all.push(p));
+        padding = Math.max(padding, stroke.width / 2);
+    });
+    return all.length ? boundsOf(all, padding + SELECTION_PADDING) : null;
+}
+
+function pointInBounds(p, b) {
+    return p[0] >= b.left && p[0] <= b.right && p[1] >= b.top && p[1] <= b.bottom;
+}
+
+// Ray casting
+function pointInPolygon(p, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a[1] > p[1]) !== (b[1] > p[1]) &&
+            p[0] < (b[0] - a[0]) * (p[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// --- Overlay ---
+
+function svgElement(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs).forEach(key => el.setAttribute(key, attrs[key]));
+    return el;
+}
+
+function renderSelectionOverlay(pointsById) {
+    if (!canvasGroup) return;
+    const old = canvasGroup.querySelector('.canvas-selection');
+    if (old) old.remove();
+
+    // Drop ids of strokes that no longer exist (undo, erase, reload)
+    const ids = new Set(strokes.map(stroke => stroke.id));
+    selectedStrokeIds.forEach(id => { if (!ids.has(id)) selectedStrokeIds.delete(id); });
+
+    const bounds = selectionBounds(pointsById);
+    if (!bounds) return;
+
+    const group = svgElement('g', { class: 'canvas-selection' });
+    group.appendChild(svgElement('rect', {
+        class: 'canvas-selection-box',
+        x: bounds.left, y: bounds.top,
+        width: bounds.right - bounds.left, height: bounds.bottom - bounds.top
+    }));
+    const corners = {
+        nw: [bounds.left, bounds.top], ne: [bounds.right, bounds.top],
+        sw: [bounds.left, bounds.bottom], se: [bounds.right, bounds.bottom]
+    };
+    Object.keys(corners).forEach(handle => {
+        group.appendChild(svgElement('rect', {
+            class: 'canvas-selection-handle handle-' + handle,
+            'data-handle': handle,
+            x: corners[handle][0] - HANDLE_SIZE / 2, y: corners[handle][1] - HANDLE_SIZE / 2,
+            width: HANDLE_SIZE, height: HANDLE_SIZE
+        }));
+    });
+    canvasGroup.appendChild(group);
+}
+
+// --- Gestures ---
+
+function startSelectionGesture(e, pt) {
+    const handle = e.target.getAttribute && e.target.getAttribute('data-handle');
+    const bounds = selectionBounds();
+
+    if (handle || (bounds && pointInBounds(pt, bounds))) {
+        const originals = {};
+        selectedStrokes().forEach(stroke => { originals[stroke.id] = strokeLocalPoints(stroke); });
+        selectionGesture = { type: handle ? 'resize' : 'move', handle: handle, start: pt, bounds: bounds, originals: originals, current: null };
+        return;
+    }
+
+    if (!e.shiftKey) clearStrokeSelection();
+    const region = canvasStyle.tool === 'lasso'
+        ? svgElement('path', { class: 'canvas-selection-region', d: 'M' + pointString(pt) })
+        : svgElement('rect', { class: 'canvas-selection-region', x: pt[0], y: pt[1], width: 0, height: 0 });
+    canvasGroup.appendChild(region);
+    selectionGesture = { type: canvasStyle.tool === 'lasso' ? 'lasso' : 'marquee', start: pt, points: [pt], region: region };
+}
+
+// Maps original local points to their transformed position for the gesture
+function gestureTransform(gesture, pt, keepRatio) {
+    const dx = pt[0] - gesture.start[0];
+    const dy = pt[1] - gesture.start[1];
+    if (gesture.type === 'move') {
+        return p => [p[0] + dx, p[1] + dy];
+    }
+
+    const b = gesture.bounds;
+    const fixedX = gesture.handle.indexOf('w') !== -1 ? b.right : b.left;
+    const fixedY = gesture.handle.indexOf('n') !== -1 ? b.bottom : b.top;
+    const movingX = fixedX === b.left ? b.right : b.left;
+    const movingY = fixedY === b.top ? b.bottom : b.top;
+    let sx = Math.max(0.05, (movingX + dx - fixedX) / (movingX - fixedX));
+    let sy = Math.max(0.05, (movingY + dy - fixedY) / (movingY - fixedY));
+    if (keepRatio) sx = sy = Math.max(sx, sy);
+    return p => [fixedX + (p[0] - fixedX) * sx, fixedY + (p[1] - fixedY) * sy];
+}
+
+function moveSelectionGesture(e, pt) {
+    const gesture = selectionGesture;
+
+    if (gesture.type === 'marquee') {
+        gesture.points = [gesture.start, pt];
+        const b = boundsOf(gesture.points, 0);
+        gesture.region.setAttribute('x', b.left);
+        gesture.region.setAttribute('y', b.top);
+        gesture.region.setAttribute('width', b.right - b.left);
+        gesture.region.setAttribute('height', b.bottom - b.top);
+        return;
+    }
+    if (gesture.type === 'lasso') {
+        gesture.points.push(pt);
+        gesture.region.setAttribute('d', 'M' + gesture.points.map(pointString).join('L') + 'Z');
+        return;
+    }
+
+    // Move / resize: preview in local coordinates, commit on release
+    const transform = gestureTransform(gesture, pt, e.shiftKey);
+    gesture.current = {};
+    Object.keys(gesture.originals).forEach(id => {
+        gesture.current[id] = gesture.originals[id].map(transform);
+    });
+    selectedStrokes().forEach(stroke => {
+        const el = canvasGroup.querySelector(`[data-stroke-id="${stroke.id}"]`);
+        if (!el) return;
+        el.setAttribute('d', strokePathData(copyStroke(stroke, { points: gesture.current[stroke.id] })));
+        el.setAttribute('transform', '');
+    });
+    renderSelectionOverlay(gesture.current);
+}
+
+function endSelectionGesture() {
+    const gesture = selectionGesture;
+    selectionGesture = null;
+
+    if (gesture.type === 'marquee' || gesture.type === 'lasso') {
+        gesture.region.remove();
+        let contains;
+        if (gesture.type === 'lasso') {
+            if (gesture.points.length < 3) return;
+            contains = p => pointInPolygon(p, gesture.points);
+        } else {
+            const b = boundsOf(gesture.points, 0);
+            contains = p => pointInBounds(p, b);
+        }
+        const hits = strokes.filter(stroke => !stroke.orphaned && localOutlinePoints(stroke).some(contains));
+        setStrokeSelection(Array.from(selectedStrokeIds).concat(hits.map(stroke => stroke.id)));
+        return;
+    }
+
+    if (!gesture.current) return; // Click without drag
+    const label = gesture.type === 'move' ? 'Move' : 'Resize';
+    commitStrokes(strokes.map(stroke => {
+        const points = gesture.current[stroke.id];
+        return points ? strokeFromLocalPoints(stroke, points) : stroke;
+    }), label);
+}
+
+// --- Commands ---
+
+function deleteSelectedStrokes() {
+    if (!hasStrokeSelection()) return false;
+    const next = strokes.filter(stroke => !selectedStrokeIds.has(stroke.id));
+    selectedStrokeIds = new Set();
+    commitStrokes(next, 'Delete');
+    return true;
+}
+
+// Copies of the given strokes, shifted by offset (local coordinates)
+function cloneStrokesAt(source, offset) {
+    return source.map(stroke => {
+        const points = stroke.points.map(p => [p[0] + offset, p[1] + offset]);
+        return strokeFromLocalPoints(copyStroke(stroke, { id: newStrokeId(), createdAt: Date.now() }), points);
+    });
+}
+
+function duplicateSelectedStrokes() {
+    if (!hasStrokeSelection()) return false;
+    const source = selectedStrokes().map(stroke => copyStroke(stroke, { points: strokeLocalPoints(stroke) }));
+    const copies = cloneStrokesAt(source, DUPLICATE_OFFSET);
+    selectedStrokeIds = new Set(copies.map(stroke => stroke.id));
+    commitStrokes(strokes.concat(copies), 'Duplicate');
+    return true;
+}
+
+function copySelectedStrokes() {
+    if (!hasStrokeSelection()) return false;
+    strokeClipboard = {
+        version: DRAWING_FORMAT_VERSION,
+        strokes: selectedStrokes().map(stroke => ({
+            tool: stroke.tool,
+            color: stroke.color,
+            width: stroke.width,
+            opacity: stroke.opacity,
+            points: strokeLocalPoints(stroke)
+        }))
+    };
+    pasteCount = 0;
+    try {
+        localStorage.setItem(STROKE_CLIPBOARD_KEY, JSON.stringify(strokeClipboard));
+    } catch (e) { console.error("Stroke clipboard:", e); }
+    return true;
+}
+
+function readStrokeClipboard() {
+    if (strokeClipboard) return strokeClipboard;
+    try {
+        const stored = JSON.parse(localStorage.getItem(STROKE_CLIPBOARD_KEY));
+        if (stored && Array.isArray(stored.strokes)) strokeClipboard = stored;
+    } catch (e) { console.error("Stroke clipboard:", e); }
+    return strokeClipboard;
+}
+
+function pasteStrokes() {
+    const clipboard = readStrokeClipboard();
+    if (!clipboard || clipboard.strokes.length === 0) return false;
+
+    const source = clipboard.strokes.filter(isValidStroke).map(stroke => Object.assign({}, LEGACY_STROKE, stroke));
+    pasteCount++;
+    const copies = cloneStrokesAt(source, pasteCount * DUPLICATE_OFFSET);
+    selectedStrokeIds = new Set(copies.map(stroke => stroke.id));
+    commitStrokes(strokes.concat(copies), 'Paste');
+    return true;
+}
+
+function restyleSelectedStrokes(style) {
+    const changes = {};
+    if (style.color) changes.color = style.color;
+    if (style.width > 0) changes.width = Number(style.width);
+    if (style.opacity > 0 && style.opacity <= 1) changes.opacity = Number(style.opacity);
+    if (Object.keys(changes).length === 0) return false;
+
+    commitStrokes(strokes.map(stroke => {
+        return selectedStrokeIds.has(stroke.id) ? copyStroke(stroke, changes) : stroke;
+    }), 'Restyle');
+    return true;
+}
@@ -0,0 +1,720 @@
+// Canvas Layer (Vector Drawing)
+// Drawings are kept as a list of stroke objects and rendered into the
+// #drawing-layer SVG. The SVG is only a view: tools edit the stroke list and
+// the list is what gets saved in the note's DRAWING_DATA comment.
+//
+// Stroke: { id, tool, color, width, opacity, points: [[x, y], ...], createdAt, anchor }
+//   pen / highlighter -> freehand points, drawn as a smoothed curve
+//   line / arrow / rectangle / ellipse -> points = [start, end]
+//
+// Anchoring: the layer lives inside CodeMirror's sizer, so it scrolls with
+// the text and uses CodeMirror "local" coordinates. Every stroke is anchored
+// to the line under its top edge (a CodeMirror line handle); x is local, y is
+// relative to the top of that line. When lines move or rewrap the strokes
+// follow. If the anchor line is deleted the stroke becomes "orphaned": it is
+// hidden (shown faded in canvas mode) but kept, and can be re-anchored.
+// Undoing the delete in the text anchors it again.
+//
+// History: drawing edits never change a stroke object in place. Every edit
+// builds a new stroke list and goes through commitStrokes(), which records
+// the lists before and after for undo/redo and saves via notifyChange().
+// Only the anchor bookkeeping (anchorHandle, anchorLine, orphaned) is updated
+// in place as the text changes; it follows the text, not the drawing history.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const DRAWING_FORMAT_VERSION = 3; // 1 = plain array of path "d" strings, 2 = absolute strokes
+
+const CANVAS_TOOLS = ['pen', 'highlighter', 'eraser', 'line', 'rectangle', 'ellipse', 'arrow', 'select', 'lasso'];
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+const SELECTION_TOOLS = ['select', 'lasso']; // See canvas-selection.js
+const DRAWABLE_TOOLS = ['pen', 'highlighter', 'line', 'rectangle', 'ellipse', 'arrow'];
+const CANVAS_HISTORY_LIMIT = 200;
+
+// Defaults for strokes saved before tools existed
+const LEGACY_STROKE = { tool: 'pen', color: 'rgba(220, 50, 50, 0.9)', width: 3, opacity: 1 };
+
+const ERASER_RADIUS = 8;
+const MIN_POINT_DISTANCE = 1.5; // Skip pointer jitter below this many pixels
+
+let isCanvasMode = false;
+let canvasSVG = null;
+let canvasGroup = null; // <g> translated so its origin is CodeMirror's local (0, 0)
+let strokes = [];
+let strokeCounter = 0;
+let reflowFrame = null;
+let orphanCount = 0;
+
+// Undo/redo entries: { label, before: [strokes], after: [strokes] }
+const canvasHistory = { undo: [], redo: [] };
+
+// Current tool settings (set by the native toolbar)
+const canvasStyle = {
+    tool: 'pen',
+    color: 'rgba(220, 50, 50, 0.9)'
+};
+
+// Width and opacity are remembered per tool, so the highlighter keeps its broad nib
+const toolSettings = {
+    pen: { width: 3, opacity: 1 },
+    highlighter: { width: 16, opacity: 0.35 },
+    eraser: { width: ERASER_RADIUS * 2, opacity: 1 },
+    line: { width: 3, opacity: 1 },
+    rectangle: { width: 3, opacity: 1 },
+    ellipse: { width: 3, opacity: 1 },
+    arrow: { width: 3, opacity: 1 }
+};
+
+// In-progress gesture
+let activeStroke = null;
+let activeElement = null;
+let isErasing = false;
+let strokesBeforeGesture = null;
+
+function newStrokeId() {
+    return 's' + Date.now().toString(36) + '_' + (++strokeCounter).toString(36);
+}
+
+function roundCoord(v) {
+    return Math.round(v * 10) / 10;
+}
+
+function copyStroke(stroke, changes) {
+    return Object.assign({}, stroke, changes);
+}
+
+// --- History ---
+
+function commitStrokes(next, label) {
+    canvasHistory.undo.push({ label: label, before: strokes, after: next });
+    if (canvasHistory.undo.length > CANVAS_HISTORY_LIMIT) canvasHistory.undo.shift();
+    canvasHistory.redo = [];
+    strokes = next;
+    renderStrokes();
+    notifyChange();
+}
+
+function undoCanvas() {
+    const entry = canvasHistory.undo.pop();
+    if (!entry) return false;
+    canvasHistory.redo.push(entry);
+    strokes = entry.before;
+    renderStrokes();
+    notifyChange();
+    return true;
+}
+
+function redoCanvas() {
+    const entry = canvasHistory.redo.pop();
+    if (!entry) return false;
+    canvasHistory.undo.push(entry);
+    strokes = entry.after;
+    renderStrokes();
+    notifyChange();
+    return true;
+}
+
+function clearCanvasHistory() {
+    canvasHistory.undo = [];
+    canvasHistory.redo = [];
+}
+
+// --- Geometry ---
+
+function distanceToSegment(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const x = a[0] + t * dx - p[0];
+    const y = a[1] + t * dy - p[1];
+    return Math.sqrt(x * x + y * y);
+}
+
+function arrowHead(start, end, size) {
+    const angle = Math.atan2(end[1] - start[1], end[0] - start[0]);
+    const spread = Math.PI / 7;
+    return [
+        [end[0] - size * Math.cos(angle - spread), end[1] - size * Math.sin(angle - spread)],
+        [end[0] - size * Math.cos(angle + spread), end[1] - size * Math.sin(angle + spread)]
+    ];
+}
+
+// Polylines that approximate what is drawn, used for hit-testing
+function strokeOutlines(stroke) {
+    const pts = stroke.points;
+    if (SHAPE_TOOLS.indexOf(stroke.tool) === -1) return [pts];
+
+    const [a, b] = pts;
+    if (stroke.tool === 'line') return [[a, b]];
+    if (stroke.tool === 'arrow') {
+        const head = arrowHead(a, b, Math.max(10, stroke.width * 4));
+        return [[a, b], [head[0], b, head[1]]];
+    }
+    if (stroke.tool === 'rectangle') {
+        return [[a, [b[0], a[1]], b, [a[0], b[1]], a]];
+    }
+    // Ellipse, sampled
+    const cx = (a[0] + b[0]) / 2;
+    const cy = (a[1] + b[1]) / 2;
+    const rx = Math.abs(b[0] - a[0]) / 2;
+    const ry = Math.abs(b[1] - a[1]) / 2;
+    const ring = [];
+    for (let i = 0; i <= 36; i++) {
+        const t = (i / 36) * Math.PI * 2;
+        ring.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+    }
+    return [ring];
+}
+
+// point is in local coordinates, the stroke's points are anchor-relative
+function hitTestStroke(stroke, point, radius) {
+    const tolerance = radius + stroke.width / 2;
+    point = [point[0], point[1] - strokeAnchorTop(stroke)];
+    return strokeOutlines(stroke).some(line => {
+        if (line.length === 1) return distanceToSegment(point, line[0], line[0]) <= tolerance;
+        for (let i = 1; i < line.length; i++) {
+            if (distanceToSegment(point, line[i - 1], line[i]) <= tolerance) return true;
+        }
+        return false;
+    });
+}
+
+// --- Path Building ---
+
+function pointString(p) {
+    return roundCoord(p[0]) + "," + roundCoord(p[1]);
+}
+
+// Quadratic curves through the midpoints of consecutive samples
+function smoothPath(points) {
+    if (points.length === 1) {
+        const p = points[0];
+        return "M" + pointString(p) + "L" + pointString([p[0] + 0.1, p[1]]); // Visible dot
+    }
+    if (points.length === 2) {
+        return "M" + pointString(points[0]) + "L" + pointString(points[1]);
+    }
+    let d = "M" + pointString(points[0]);
+    for (let i = 1; i < points.length - 1; i++) {
+        const mid = [(points[i][0] + points[i + 1][0]) / 2, (points[i][1] + points[i + 1][1]) / 2];
+        d += "Q" + pointString(points[i]) + " " + pointString(mid);
+    }
+    return d + "L" + pointString(points[points.length - 1]);
+}
+
+function strokePathData(stroke) {
+    if (SHAPE_TOOLS.indexOf(stroke.tool) === -1) return smoothPath(stroke.points);
+
+    const [a, b] = stroke.points;
+    if (stroke.tool === 'ellipse') {
+        const rx = Math.abs(b[0] - a[0]) / 2;
+        const ry = Math.abs(b[1] - a[1]) / 2;
+        const cx = (a[0] + b[0]) / 2;
+        const cy = (a[1] + b[1]) / 2;
+        return `M${roundCoord(cx - rx)},${roundCoord(cy)}` +
+            `a${roundCoord(rx)},${roundCoord(ry)} 0 1,0 ${roundCoord(rx * 2)},0` +
+            `a${roundCoord(rx)},${roundCoord(ry)} 0 1,0 ${roundCoord(-rx * 2)},0Z`;
+    }
+    return strokeOutlines(stroke)
+        .map(line => "M" + line.map(pointString).join("L"))
+        .join("");
+}
+
+function createStrokeElement(stroke) {
+    const path = document.createElementNS(SVG_NS, "path");
+    path.setAttribute("data-stroke-id", stroke.id);
+    path.setAttribute("class", "canvas-stroke tool-" + stroke.tool);
+    path.setAttribute("stroke", stroke.color);
+    path.setAttribute("stroke-width", stroke.width);
+    path.setAttribute("stroke-opacity", stroke.opacity);
+    path.setAttribute("fill", "none");
+    path.setAttribute("stroke-linecap", stroke.tool === 'highlighter' ? "square" : "round");
+    path.setAttribute("stroke-linejoin", "round");
+    path.setAttribute("d", strokePathData(stroke));
+    return path;
+}
+
+function renderStrokes() {
+    if (!canvasSVG) return;
+    while (canvasGroup.firstChild) {
+        canvasGroup.removeChild(canvasGroup.firstChild);
+    }
+    strokes.forEach(stroke => canvasGroup.appendChild(createStrokeElement(stroke)));
+    reflowStrokes();
+}
+
+// --- Anchoring ---
+
+// Where CodeMirror's local (0, 0) is, in window coordinates
+function localOrigin() {
+    const local = editor.charCoords({ line: 0, ch: 0 }, 'local');
+    const win = editor.charCoords({ line: 0, ch: 0 }, 'window');
+    return { x: win.left - local.left, y: win.top - local.top };
+}
+
+function anchorStroke(stroke, line) {
+    line = Math.max(0, Math.min(line, editor.lineCount() - 1));
+    stroke.anchorHandle = editor.getLineHandle(line);
+    stroke.anchorLine = line;
+    stroke.orphaned = false;
+}
+
+// Current line of the anchor. Marks the stroke orphaned once its line is gone.
+function resolveAnchorLine(stroke) {
+    if (!stroke.orphaned && stroke.anchorHandle) {
+        const line = editor.getLineNumber(stroke.anchorHandle);
+        if (line !== null) {
+            stroke.anchorLine = line;
+            return line;
+        }
+        stroke.orphaned = true;
+    }
+    return Math.min(stroke.anchorLine || 0, editor.lineCount() - 1);
+}
+
+// Text undo / redo brings deleted lines back as new lines: orphaned strokes
+// whose line was restored are anchored to it again
+function reanchorRestoredStrokes(cm, changes) {
+    let restored = false;
+    changes.forEach(change => {
+        if (change.origin !== 'undo' && change.origin !== 'redo') return;
+        const from = change.from.line;
+        const to = from + change.text.length - 1;
+        strokes.forEach(stroke => {
+            if (!stroke.orphaned || stroke.anchorLine < from || stroke.anchorLine > to) return;
+            anchorStroke(stroke, stroke.anchorLine);
+            restored = true;
+        });
+    });
+    if (!restored) return;
+    scheduleReflow();
+    notifyChange(); // The save made during the change still had them orphaned
+}
+
+function strokeAnchorTop(stroke) {
+    return editor.heightAtLine(resolveAnchorLine(stroke), 'local');
+}
+
+// Move every stroke to its anchor line; cheap, only transforms change
+function reflowStrokes() {
+    if (!canvasSVG) return;
+    const svgRect = canvasSVG.getBoundingClientRect();
+    const origin = localOrigin();
+    canvasGroup.setAttribute("transform",
+        `translate(${roundCoord(origin.x - svgRect.left)},${roundCoord(origin.y - svgRect.top)})`);
+
+    const elements = {};
+    canvasGroup.querySelectorAll('[data-stroke-id]').forEach(el => {
+        elements[el.getAttribute('data-stroke-id')] = el;
+    });
+
+    let orphans = 0;
+    strokes.forEach(stroke => {
+        const top = strokeAnchorTop(stroke);
+        if (stroke.orphaned) orphans++;
+        const el = elements[stroke.id];
+        if (!el) return;
+        el.setAttribute("transform", `translate(0,${roundCoord(top)})`);
+        el.classList.toggle('orphaned', !!stroke.orphaned);
+    });
+    renderSelectionOverlay();
+
+    if (orphans !== orphanCount) {
+        orphanCount = orphans;
+        // Let the host offer "Restore annotations"
+        bridgeSend('orphanedStrokes', { count: orphans });
+    }
+}
+
+function scheduleReflow() {
+    if (reflowFrame || !canvasSVG) return;
+    reflowFrame = requestAnimationFrame(() => {
+        reflowFrame = null;
+        reflowStrokes();
+    });
+}
+
+// Re-anchor orphaned strokes at the line they were last seen on (Called by Native App)
+function restoreOrphanedStrokes() {
+    const next = strokes.map(stroke => {
+        resolveAnchorLine(stroke);
+        if (!stroke.orphaned) return stroke;
+        const restored = copyStroke(stroke);
+        anchorStroke(restored, stroke.anchorLine || 0);
+        return restored;
+    });
+    commitStrokes(next, 'Restore Annotations');
+}
+
+function discardOrphanedStrokes() {
+    commitStrokes(strokes.filter(stroke => {
+        resolveAnchorLine(stroke);
+        return !stroke.orphaned;
+    }), 'Discard Annotations');
+}
+
+// Local (scrolled document) coordinates of a stroke's points
+function strokeLocalPoints(stroke) {
+    const top = strokeAnchorTop(stroke);
+    return stroke.points.map(p => [p[0], p[1] + top]);
+}
+
+// New stroke from local points, anchored to the line under its top edge
+function strokeFromLocalPoints(stroke, points) {
+    const top = Math.min.apply(null, points.map(p => p[1]));
+    const next = copyStroke(stroke);
+    anchorStroke(next, editor.lineAtHeight(top, 'local'));
+    const anchorTop = editor.heightAtLine(next.anchorLine, 'local');
+    next.points = points.map(p => [roundCoord(p[0]), roundCoord(p[1] - anchorTop)]);
+    return next;
+}
+
+// --- Mode & Layer ---
+
+function toggleCanvasMode() {
+    isCanvasMode = !isCanvasMode;
+    const body = document.body;
+
+    if (isCanvasMode) {
+        body.classList.add('canvas-mode');
+        // Initialize Canvas Layer if needed
+        if (!canvasSVG) {
+            initCanvasLayer();
+        }
+        canvasSVG.style.pointerEvents = 'auto';
+        editor.setOption('readOnly', true); // Disable text editing while drawing
+    } else {
+        body.classList.remove('canvas-mode');
+        if (canvasSVG) canvasSVG.style.pointerEvents = 'none';
+        editor.setOption('readOnly', false);
+    }
+}
+
+function initCanvasLayer() {
+    // Create SVG Overlay inside the scrolled content, so it moves with the text
+    const sizer = editor.getWrapperElement().querySelector('.CodeMirror-sizer');
+    canvasSVG = document.createElementNS(SVG_NS, "svg");
+    canvasSVG.id = 'drawing-layer';
+    canvasSVG.style.position = 'absolute';
+    canvasSVG.style.top = '0';
+    canvasSVG.style.left = '0';
+    canvasSVG.style.width = '100%';
+    canvasSVG.style.height = '100%';
+    canvasSVG.style.zIndex = '100'; // Above text
+    canvasSVG.style.overflow = 'visible'; // Let strokes go anywhere
+    canvasSVG.style.pointerEvents = isCanvasMode ? 'auto' : 'none';
+    updateCanvasCursor();
+
+    canvasGroup = document.createElementNS(SVG_NS, "g");
+    canvasSVG.appendChild(canvasGroup);
+    sizer.appendChild(canvasSVG);
+
+    // Lines move, wrap and disappear as the text changes
+    editor.on('update', scheduleReflow);
+    editor.on('changes', reanchorRestoredStrokes);
+    window.addEventListener('resize', scheduleReflow);
+
+    // Event Listeners for Drawing
+    canvasSVG.addEventListener('pointerdown', startDraw);
+    canvasSVG.addEventListener('pointermove', draw);
+    canvasSVG.addEventListener('pointerup', endDraw);
+    canvasSVG.addEventListener('pointercancel', endDraw);
+
+    renderStrokes();
+}
+
+function updateCanvasCursor() {
+    if (!canvasSVG) return;
+    const cursors = { eraser: 'cell', select: 'default', lasso: 'default' };
+    canvasSVG.style.cursor = cursors[canvasStyle.tool] || 'crosshair';
+}
+
+// --- Tools (Called by Native App) ---
+
+function setCanvasTool(tool) {
+    if (CANVAS_TOOLS.indexOf(tool) === -1) {
+        console.error("Unknown canvas tool:", tool);
+        return;
+    }
+    canvasStyle.tool = tool;
+    if (SELECTION_TOOLS.indexOf(tool) === -1) clearStrokeSelection();
+    updateCanvasCursor();
+}
+
+// style: { color, width, opacity } - any subset. With strokes selected it
+// restyles them; otherwise width/opacity apply to the current drawing tool.
+function setCanvasStyle(style) {
+    if (hasStrokeSelection()) {
+        restyleSelectedStrokes(style);
+        return;
+    }
+    if (style.color) canvasStyle.color = style.color;
+    const settings = toolSettings[canvasStyle.tool];
+    if (!settings) return;
+    if (style.width > 0) settings.width = Number(style.width);
+    if (style.opacity > 0 && style.opacity <= 1) settings.opacity = Number(style.opacity);
+}
+
+// Canvas commands (Called by Native App menus and the keyboard handler below)
+function canvasAction(action) {
+    switch (action) {
+        case 'undo': return undoCanvas();
+        case 'redo': return redoCanvas();
+        case 'delete': return deleteSelectedStrokes();
+        case 'duplicate': return duplicateSelectedStrokes();
+        case 'copy': return copySelectedStrokes();
+        case 'cut': return copySelectedStrokes() && deleteSelectedStrokes();
+        case 'paste': return pasteStrokes();
+        case 'selectAll': return selectAllStrokes();
+        case 'deselect': return clearStrokeSelection();
+        default:
+            console.error("Unknown canvas action:", action);
+            return false;
+    }
+}
+
+onBridgeMessage('setCanvasTool', payload => setCanvasTool(payload.tool));
+onBridgeMessage('setCanvasStyle', setCanvasStyle);
+onBridgeMessage('canvasAction', payload => ({ handled: !!canvasAction(payload.action) }));
+onBridgeMessage('restoreOrphanedStrokes', restoreOrphanedStrokes);
+onBridgeMessage('discardOrphanedStrokes', discardOrphanedStrokes);
+
+// Single-key tool switching while drawing
+const CANVAS_TOOL_KEYS = { p: 'pen', h: 'highlighter', e: 'eraser', l: 'line', r: 'rectangle', o: 'ellipse', a: 'arrow', v: 'select', q: 'lasso' };
+
+const CANVAS_SHORTCUTS = { z: 'undo', y: 'redo', d: 'duplicate', c: 'copy', x: 'cut', v: 'paste', a: 'selectAll' };
+
+// Keys typed in the find bar, the history panel and other fields are theirs;
+// the canvas takes keys aimed at the editor (or at nothing in particular)
+function isCanvasKeyTarget(target) {
+    if (!target || target === document.body) return true;
+    if (!editor.getWrapperElement().contains(target)) return false; // #drawing-layer lives inside it
+    return target === editor.getInputField() || !(target.matches('input, textarea, select') || target.isContentEditable);
+}
+
+// Canvas Keyboard Support
+document.addEventListener('keydown', function (e) {
+    if (!isCanvasMode || !isCanvasKeyTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+
+    if (e.metaKey || e.ctrlKey) {
+        let action = CANVAS_SHORTCUTS[key];
+        if (action === 'undo' && e.shiftKey) action = 'redo';
+        if (!action) return;
+        e.preventDefault();
+        canvasAction(action);
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        e.preventDefault();
+        canvasAction('delete');
+    } else if (e.key === 'Escape') {
+        canvasAction('deselect');
+    } else if (!e.altKey && CANVAS_TOOL_KEYS[e.key]) {
+        setCanvasTool(CANVAS_TOOL_KEYS[e.key]);
+    }
+});
+
+// --- Drawing ---
+
+function startDraw(e) {
+    // Note: If clicking on a resize handle, do NOT draw.
+    if (e.target.classList && e.target.classList.contains('resize-handle')) return;
+
+    if (!isCanvasMode || e.button !== 0) return;
+    canvasSVG.setPointerCapture(e.pointerId);
+    const pt = getCoords(e);
+
+    if (SELECTION_TOOLS.indexOf(canvasStyle.tool) !== -1) {
+        startSelectionGesture(e, pt);
+        return;
+    }
+    if (canvasStyle.tool === 'eraser') {
+        isErasing = true;
+        strokesBeforeGesture = strokes;
+        eraseAt(pt);
+        return;
+    }
+
+    const settings = toolSettings[canvasStyle.tool];
+    activeStroke = {
+        id: newStrokeId(),
+        tool: canvasStyle.tool,
+        color: canvasStyle.color,
+        width: settings.width,
+        opacity: settings.opacity,
+        points: SHAPE_TOOLS.indexOf(canvasStyle.tool) === -1 ? [pt] : [pt, pt],
+        createdAt: Date.now()
+    };
+    activeElement = createStrokeElement(activeStroke); // Local coordinates until committed
+    canvasGroup.appendChild(activeElement);
+}
+
+function draw(e) {
+    if (!isCanvasMode) return;
+    const pt = getCoords(e);
+
+    if (isSelectionGestureActive()) {
+        moveSelectionGesture(e, pt);
+        return;
+    }
+    if (isErasing) {
+        eraseAt(pt);
+        return;
+    }
+    if (!activeStroke) return;
+
+    if (SHAPE_TOOLS.indexOf(activeStroke.tool) === -1) {
+        const last = activeStroke.points[activeStroke.points.length - 1];
+        if (Math.hypot(pt[0] - last[0], pt[1] - last[1]) < MIN_POINT_DISTANCE) return;
+        activeStroke.points.push(pt);
+    } else {
+        activeStroke.points[1] = e.shiftKey ? constrainShape(activeStroke.tool, activeStroke.points[0], pt) : pt;
+    }
+    activeElement.setAttribute("d", strokePathData(activeStroke));
+}
+
+function endDraw(e) {
+    if (isSelectionGestureActive()) {
+        endSelectionGesture(e);
+        return;
+    }
+    if (isErasing) {
+        isErasing = false;
+        // The whole gesture is one undo step
+        if (strokes !== strokesBeforeGesture) {
+            const erased = strokes;
+            strokes = strokesBeforeGesture;
+            commitStrokes(erased, 'Erase');
+        }
+        strokesBeforeGesture = null;
+        return;
+    }
+    if (!activeStroke) return;
+
+    const stroke = activeStroke;
+    activeStroke = null;
+    activeElement = null;
+
+    // A shape that never left its start point is a stray click
+    if (SHAPE_TOOLS.indexOf(stroke.tool) !== -1) {
+        const [a, b] = stroke.points;
+        if (Math.hypot(b[0] - a[0], b[1] - a[1]) < 2) {
+            renderStrokes();
+            return;
+        }
+    }
+    // Anchor to the line under the top edge, store y relative to that line
+    commitStrokes(strokes.concat([strokeFromLocalPoints(stroke, stroke.points)]), 'Draw'); // Saves immediately
+}
+
+// Shift: squares, circles and 45° lines
+function constrainShape(tool, start, pt) {
+    const dx = pt[0] - start[0];
+    const dy = pt[1] - start[1];
+    if (tool === 'rectangle' || tool === 'ellipse') {
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        return [start[0] + Math.sign(dx || 1) * size, start[1] + Math.sign(dy || 1) * size];
+    }
+    const step = Math.PI / 4;
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+    const length = Math.hypot(dx, dy);
+    return [start[0] + length * Math.cos(angle), start[1] + length * Math.sin(angle)];
+}
+
+function eraseAt(pt) {
+    const radius = toolSettings.eraser.width / 2;
+    const remaining = strokes.filter(stroke => !hitTestStroke(stroke, pt, radius));
+    if (remaining.length === strokes.length) return;
+    strokes = remaining;
+    renderStrokes();
+}
+
+// Pointer position in CodeMirror local coordinates
+function getCoords(e) {
+    const origin = localOrigin();
+    return [e.clientX - origin.x, e.clientY - origin.y];
+}
+
+// --- Persistence ---
+
+// Accepts the current format, version 2 and the legacy array of path strings.
+// Older formats stored absolute coordinates; they are treated as local ones
+// and anchored to the line under each stroke.
+function parseDrawingData(data) {
+    let parsed = [];
+    if (Array.isArray(data)) {
+        parsed = data.filter(d => typeof d === 'string').map(legacyPathToStroke).filter(Boolean);
+    } else if (data && typeof data === 'object' && Array.isArray(data.strokes)) {
+        if (data.version > DRAWING_FORMAT_VERSION) {
+            console.warn("Drawing data is newer than this editor understands:", data.version);
+        }
+        parsed = data.strokes.filter(isValidStroke).map(stroke => Object.assign({}, LEGACY_STROKE, stroke));
+    }
+
+    parsed.forEach(stroke => {
+        if (stroke.anchor && typeof stroke.anchor.line === 'number') {
+            anchorStroke(stroke, stroke.anchor.line);
+            stroke.orphaned = !!stroke.orphaned;
+        } else {
+            anchorAbsoluteStroke(stroke);
+        }
+        delete stroke.anchor;
+    });
+    return parsed;
+}
+
+function anchorAbsoluteStroke(stroke) {
+    const top = Math.min.apply(null, stroke.points.map(p => p[1]));
+    anchorStroke(stroke, editor.lineAtHeight(top, 'local'));
+    const anchorTop = editor.heightAtLine(stroke.anchorLine, 'local');
+    stroke.points = stroke.points.map(p => [p[0], roundCoord(p[1] - anchorTop)]);
+}
+
+function isValidStroke(stroke) {
+    return stroke && Array.isArray(stroke.points) && stroke.points.length > 0 &&
+        CANVAS_TOOLS.indexOf(stroke.tool) !== -1 && stroke.tool !== 'eraser';
+}
+
+function legacyPathToStroke(d) {
+    const points = [];
+    const regex = /[ML]\s*(-?[\d.]+)[\s,]+(-?[\d.]+)/g;
+    let match;
+    while ((match = regex.exec(d)) !== null) {
+        points.push([parseFloat(match[1]), parseFloat(match[2])]);
+    }
+    if (points.length === 0) return null;
+    return Object.assign({ id: newStrokeId(), points: points, createdAt: 0 }, LEGACY_STROKE);
+}
+
+function getDrawingData() {
+    return {
+        version: DRAWING_FORMAT_VERSION,
+        strokes: strokes.map(stroke => {
+            const line = resolveAnchorLine(stroke);
+            const data = {
+                id: stroke.id,
+                tool: stroke.tool,
+                color: stroke.color,
+                width: stroke.width,
+                opacity: stroke.opacity,
+                points: stroke.points,
+                createdAt: stroke.createdAt,
+                anchor: { line: line }
+            };
+            if (stroke.orphaned) data.orphaned = true;
+            return data;
+        })
+    };
+}
+
+function restoreDrawingData(data) {
+    // The host echoes saved content back; keep history and selection for the same drawing
+    const incomingEmpty = Array.isArray(data) ? data.length === 0 : !(data && data.strokes && data.strokes.length);
+    if (canvasSVG && incomingEmpty && strokes.length === 0) return;
+    if (canvasSVG && JSON.stringify(data) === JSON.stringify(getDrawingData())) return;
+    strokes = parseDrawingData(data);
+    clearCanvasHistory(); // A different note, or the same one reloaded from disk
+    clearStrokeSelection();
+    if (!canvasSVG) initCanvasLayer();
+    renderStrokes();
+}
@@ -0,0 +1,225 @@
+// Code Blocks
+// Fenced code in the editor and the preview:
+//
+//   - editor highlighting inside fences with the vendored CodeMirror modes
+//     (lib/codemirror/mode), under the names people write after ```
+//   - typing a language after ``` suggests names highlight.js knows
+//   - preview blocks get a language badge, a copy button and per-line spans,
+//     so lines can be highlighted and numbered from the fence info:
+//
+//       ```js {1,3-5} showLineNumbers
+//
+//     setCodeBlockOptions({ lineNumbers: true }) numbers every block.
+
+const CODE_LANGUAGE_SUGGESTION_LIMIT = 8;
+const CODE_FENCE_QUERY_REGEX = /^\s*(`{3,}|~{3,})([\w+#-]*)$/;
+const CODE_LINE_NUMBERS_REGEX = /(?:^|\s)(?:showLineNumbers|linenos|numbered)(?=\s|$)/;
+const CODE_COPIED_MS = 1500;
+
+let codeLanguageHint = null; // Open suggestion list: { element, items, selected, from, keyMap }
+
+// --- Editor modes ---
+
+// Fence names -> modes; the markdown mode looks the fence language up as a
+// MIME name. CodeMirror follows one alias only, so targets are resolved here.
+[
+    ['json', { name: 'javascript', json: true }], ['jsonc', 'json'], ['json5', 'json'],
+    ['js', 'javascript'], ['jsx', 'javascript'], ['mjs', 'javascript'],
+    ['ts', { name: 'javascript', typescript: true }], ['typescript', 'ts'], ['tsx', 'ts'],
+    ['html', 'text/html'], ['svg', 'xml'], ['plist', 'xml'],
+    ['py', 'python'], ['python3', 'python'],
+    ['bash', 'shell'], ['sh', 'shell'], ['zsh', 'shell'], ['console', 'shell'],
+    ['sql', 'text/x-sql'], ['mysql', 'text/x-mysql'], ['postgresql', 'text/x-pgsql'], ['sqlite', 'text/x-sqlite'],
+    ['yml', 'yaml'], ['golang', 'go'], ['patch', 'diff']
+].forEach(alias => CodeMirror.defineMIME(alias[0], CodeMirror.resolveMode(alias[1])));
+
+// --- Language autocomplete ---
+
+function codeLanguageNames() {
+    const names = new Set(['html', 'mermaid', 'text']);
+    if (window.hljs) hljs.listLanguages().forEach(name => names.add(name));
+    return Array.from(names).sort();
+}
+
+function closeCodeLanguageHint() {
+    if (!codeLanguageHint) return;
+    editor.removeKeyMap(codeLanguageHint.keyMap);
+    codeLanguageHint.element.remove();
+    codeLanguageHint = null;
+}
+
+function selectCodeLanguageHint(index) {
+    const count = codeLanguageHint.items.length;
+    codeLanguageHint.selected = (index + count) % count;
+    Array.from(codeLanguageHint.element.children).forEach((item, i) => {
+        item.classList.toggle('selected', i === codeLanguageHint.selected);
+        if (i === codeLanguageHint.selected && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+function acceptCodeLanguageHint(language) {
+    const from = codeLanguageHint.from;
+    closeCodeLanguageHint();
+    editor.replaceRange(language, from, editor.getCursor(), 'complete');
+}
+
+function showCodeLanguageHint(from, languages) {
+    closeCodeLanguageHint();
+    const list = document.createElement('ul');
+    list.className = 'code-language-hints';
+    languages.forEach(language => {
+        const item = document.createElement('li');
+        item.textContent = language;
+        item.addEventListener('mousedown', e => {
+            e.preventDefault(); // Keep the editor focused
+            acceptCodeLanguageHint(language);
+        });
+        list.appendChild(item);
+    });
+
+    const keyMap = {
+        'Up': () => selectCodeLanguageHint(codeLanguageHint.selected - 1),
+        'Down': () => selectCodeLanguageHint(codeLanguageHint.selected + 1),
+        'Enter': () => acceptCodeLanguageHint(codeLanguageHint.items[codeLanguageHint.selected]),
+        'Tab': () => acceptCodeLanguageHint(codeLanguageHint.items[codeLanguageHint.selected]),
+        'Esc': closeCodeLanguageHint
+    };
+    codeLanguageHint = { element: list, items: languages, selected: 0, from: from, keyMap: keyMap };
+    editor.addKeyMap(keyMap);
+    editor.addWidget(editor.getCursor(), list, false);
+    selectCodeLanguageHint(0);
+}
+
+// Re-evaluated after every edit and cursor move
+function updateCodeLanguageHint() {
+    if (editor.somethingSelected() || editor.listSelections().length > 1) return closeCodeLanguageHint();
+    const cursor = editor.getCursor();
+    const line = editor.getLine(cursor.line);
+    const match = line.slice(0, cursor.ch).match(CODE_FENCE_QUERY_REGEX);
+    // Only on an opening fence, with something typed and nothing after the
+    // cursor but the fence closebrackets may have doubled
+    if (!match || !match[2] || !/^[`~]*\s*$/.test(line.slice(cursor.ch)) || isInFencedCode(editor, cursor.line)) {
+        return closeCodeLanguageHint();
+    }
+
+    const query = match[2].toLowerCase();
+    const languages = codeLanguageNames()
+        .filter(name => name.startsWith(query) && name !== query)
+        .slice(0, CODE_LANGUAGE_SUGGESTION_LIMIT);
+    if (languages.length === 0) return closeCodeLanguageHint();
+
+    const from = { line: cursor.line, ch: cursor.ch - match[2].length };
+    if (codeLanguageHint && codeLanguageHint.from.line === from.line && codeLanguageHint.from.ch === from.ch &&
+        codeLanguageHint.items.join('\n') === languages.join('\n')) return;
+    showCodeLanguageHint(from, languages);
+}
+
+// --- Preview ---
+
+// "js {1,3-5} showLineNumbers" -> { language, highlighted: Set of line numbers, lineNumbers }
+function parseFenceInfo(info) {
+    const language = (info.match(/^[^\s{]+/) || [''])[0];
+    const highlighted = new Set();
+    const ranges = info.match(/\{([\d,\s-]+)\}/);
+    if (ranges) {
+        ranges[1].split(',').forEach(part => {
+            const bounds = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+            if (!bounds) return;
+            const first = parseInt(bounds[1], 10);
+            const last = bounds[2] ? parseInt(bounds[2], 10) : first;
+            for (let line = first; line <= last && line - first < 10000; line++) highlighted.add(line);
+        });
+    }
+    return { language: language, highlighted: highlighted, lineNumbers: CODE_LINE_NUMBERS_REGEX.test(info) };
+}
+
+// Highlighted HTML split at newlines; spans crossing a line are closed and reopened
+function splitHighlightedLines(html) {
+    const lines = [];
+    const open = [];
+    let line = '';
+    html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+        if (part === '\n') {
+            lines.push(line + '</span>'.repeat(open.length));
+            line = open.join('');
+        } else if (part === '</span>') {
+            open.pop();
+            line += part;
+        } else if (part.startsWith('<span')) {
+            open.push(part);
+            line += part;
+        } else {
+            line += part;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+// markdown-it plugin: fences rendered line by line, with badge and line options
+function markdownitCodeBlocks(md) {
+    md.renderer.rules.fence = function (tokens, idx, options, env, self) {
+        const token = tokens[idx];
+        const info = parseFenceInfo(md.utils.unescapeAll(token.info).trim());
+        const content = token.content.replace(/\n$/, '');
+        const highlighted = (options.highlight && options.highlight(content, info.language, '')) || md.utils.escapeHtml(content);
+
+        const lines = splitHighlightedLines(highlighted).map((html, i) => {
+            const number = i + 1;
+            const className = info.highlighted.has(number) ? 'code-line highlighted' : 'code-line';
+            return `<span class="${className}" data-line-number="${number}">${html}</span>`;
+        });
+        const attrs = (token.attrs || []).slice(); // data-line, see preview.js
+        if (info.language) attrs.push(['class', options.langPrefix + info.language]);
+
+        let preAttrs = ' class="code-block"';
+        if (info.language) preAttrs += ` data-language="${md.utils.escapeHtml(info.language)}"`;
+        if (info.lineNumbers) preAttrs += ' data-line-numbers="true"';
+        return `<pre${preAttrs}><code${self.renderAttrs({ attrs: attrs })}>${lines.join('\n')}\n</code></pre>\n`;
+    };
+}
+
+// After sanitizing (buttons are not allowed in rendered HTML)
+function addCodeCopyButton(pre) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'code-copy';
+    button.setAttribute('aria-label', 'Copy code');
+    pre.appendChild(button);
+}
+
+function copyText(text) {
+    if (hostSupports('copyText')) {
+        bridgeSend('copyText', { text: text });
+        return Promise.resolve();
+    }
+    if (navigator.clipboard && navigator.clipboard.writeText) return navigator.clipboard.writeText(text);
+    return Promise.reject(new Error('The clipboard cannot be written here'));
+}
+
+function handleCodeCopyClick(e) {
+    const button = e.target.closest('button.code-copy');
+    if (!button) return;
+    e.preventDefault();
+    const code = button.parentElement.querySelector('code');
+    copyText(code ? code.textContent.replace(/\n$/, '') : '').then(() => {
+        button.classList.add('copied');
+        setTimeout(() => button.classList.remove('copied'), CODE_COPIED_MS);
+    }).catch(err => console.warn("Code copy failed:", err.message));
+}
+
+function setCodeBlockOptions(options) {
+    if (options.lineNumbers !== undefined) document.body.classList.toggle('code-line-numbers', options.lineNumbers);
+}
+
+function initCodeBlocks() {
+    document.getElementById('preview-pane').addEventListener('click', handleCodeCopyClick);
+
+    editor.on('changes', (cm, changes) => {
+        if (changes.some(change => change.origin === '+input' || change.origin === '+delete')) updateCodeLanguageHint();
+    });
+    editor.on('cursorActivity', () => { if (codeLanguageHint) updateCodeLanguageHint(); });
+    editor.on('blur', closeCodeLanguageHint);
+
+    onBridgeMessage('setCodeBlockOptions', setCodeBlockOptions);
+}
@@ -0,0 +1,301 @@
+// Diagrams
+// Mermaid blocks in the preview. Each diagram renders on its own through
+// mermaid.render (renderMermaidSvg, preview.js), so a broken one leaves the
+// others alone:
+//
+//   - a diagram that fails to parse shows the message and its line in place,
+//     and that line gets a marker in the editor gutter
+//   - a rendered diagram has a toolbar: zoom in / out / reset, and export as
+//     SVG or PNG (exportDiagram to the host, a download in a browser)
+//   - zoomed diagrams pan by dragging; pinch or Ctrl-scroll zooms too
+
+const DIAGRAM_ERROR_GUTTER = 'diagram-error-gutter';
+const DIAGRAM_MIN_SCALE = 0.25;
+const DIAGRAM_MAX_SCALE = 8;
+const DIAGRAM_ZOOM_STEP = 1.25;
+const DIAGRAM_PNG_SCALE = 2;
+// PNG export renders without HTML labels: an SVG holding foreignObject
+// taints the canvas in WebKit and can't be read back
+const DIAGRAM_PNG_DIRECTIVE = '%%{init: {"htmlLabels": false, "flowchart": {"htmlLabels": false}}}%%\n';
+const DIAGRAM_FRONT_MATTER_REGEX = /^\s*---[ \t]*\r?\n[\s\S]*?\r?\n---[ \t]*(\r?\n|$)/; // title / config block, which must stay first
+const DIAGRAM_TOOLBAR_ACTIONS = [
+    ['zoomIn', 'Zoom in'], ['zoomOut', 'Zoom out'], ['reset', 'Reset zoom'],
+    ['svg', 'Export as SVG'], ['png', 'Export as PNG']
+];
+
+// --- Rendering ---
+
+function renderMermaid(el) {
+    if (!window.mermaid) return;
+    const source = el.textContent;
+    el.dataset.processed = 'true'; // Keep mermaid.run() from picking it up again
+    el.diagramSource = source;
+
+    // Cached diagrams go in right away so the scroll anchor sees their final size
+    const cached = mermaidCache.get(mermaidCacheKey(source));
+    if (cached !== undefined) {
+        showDiagram(el, cached);
+        return;
+    }
+    renderMermaidSvg(source).then(svg => {
+        if (el.isConnected) showDiagram(el, svg);
+    }).catch(e => {
+        if (!el.isConnected) return;
+        showDiagramError(el, e);
+        updateDiagramErrorGutter();
+    });
+}
+
+function showDiagram(el, svg) {
+    el.innerHTML = '';
+    const viewport = document.createElement('div');
+    viewport.className = 'diagram-viewport';
+    viewport.innerHTML = svg;
+    el.appendChild(viewport);
+    el.appendChild(buildDiagramToolbar());
+    el.diagramView = { scale: 1, x: 0, y: 0 };
+}
+
+function buildDiagramToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'diagram-toolbar';
+    DIAGRAM_TOOLBAR_ACTIONS.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action[0];
+        button.title = action[1];
+        button.setAttribute('aria-label', action[1]);
+        toolbar.appendChild(button);
+    });
+    return toolbar;
+}
+
+// --- Errors ---
+
+// 1-based line within the diagram source, or null
+function diagramErrorLine(error) {
+    if (error && error.hash && error.hash.loc) return error.hash.loc.first_line;
+    const match = String((error && error.message) || error).match(/on line (\d+)/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function showDiagramError(el, error) {
+    const message = String((error && error.message) || error).trim();
+    const line = diagramErrorLine(error);
+
+    el.classList.add('diagram-failed');
+    el.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'diagram-error-title';
+    title.textContent = line ? `Diagram error on line ${line}` : 'Diagram error';
+    const details = document.createElement('pre');
+    details.className = 'diagram-error-message';
+    details.textContent = message;
+    el.appendChild(title);
+    el.appendChild(details);
+    el.dataset.errorLine = line || 0;
+    el.dataset.errorMessage = message.split('\n')[0];
+}
+
+// Editor line of a failed diagram's error: fence line + line within the diagram
+function diagramErrorEditorLine(el) {
+    const block = el.closest('[data-line-start]');
+    if (!block) return null;
+    const fence = parseInt(block.dataset.lineStart, 10) + parseInt(el.dataset.line || '0', 10);
+    return fence + Math.max(1, parseInt(el.dataset.errorLine, 10) || 1);
+}
+
+// Rebuilt from the failed diagrams in the preview; lines move on every render
+function updateDiagramErrorGutter() {
+    editor.operation(() => {
+        editor.clearGutter(DIAGRAM_ERROR_GUTTER);
+        document.querySelectorAll('#preview .mermaid.diagram-failed').forEach(el => {
+            const line = diagramErrorEditorLine(el);
+            if (line === null || line > editor.lastLine()) return;
+            const marker = document.createElement('div');
+            marker.className = 'diagram-error-marker';
+            marker.textContent = '●';
+            marker.title = el.dataset.errorMessage;
+            editor.setGutterMarker(line, DIAGRAM_ERROR_GUTTER, marker);
+        });
+    });
+}
+
+// --- Zoom and pan ---
+
+function applyDiagramView(el) {
+    const view = el.diagramView;
+    const svg = el.querySelector('.diagram-viewport > svg');
+    if (!svg) return;
+    svg.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    el.classList.toggle('diagram-zoomed', view.scale !== 1 || view.x !== 0 || view.y !== 0);
+}
+
+// Zooms around a point of the viewport (its centre by default)
+function zoomDiagram(el, factor, origin) {
+    const view = el.diagramView;
+    const viewport = el.querySelector('.diagram-viewport');
+    if (!view || !viewport) return;
+    const scale = Math.min(DIAGRAM_MAX_SCALE, Math.max(DIAGRAM_MIN_SCALE, view.scale * factor));
+    const point = origin || { x: viewport.clientWidth / 2, y: viewport.clientHeight / 2 };
+    view.x = point.x - (point.x - view.x) * (scale / view.scale);
+    view.y = point.y - (point.y - view.y) * (scale / view.scale);
+    view.scale = scale;
+    applyDiagramView(el);
+}
+
+function resetDiagramView(el) {
+    el.diagramView = { scale: 1, x: 0, y: 0 };
+    applyDiagramView(el);
+}
+
+function handleDiagramWheel(e) {
+    if (!e.ctrlKey) return; // Pinch on a trackpad, or Ctrl-scroll
+    const el = e.target.closest('.mermaid');
+    if (!el || !el.diagramView) return;
+    e.preventDefault();
+    const rect = el.querySelector('.diagram-viewport').getBoundingClientRect();
+    zoomDiagram(el, Math.exp(-e.deltaY / 200), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+}
+
+// Safari reports a trackpad pinch as gesture events
+function handleDiagramGesture(e) {
+    const el = e.target.closest && e.target.closest('.mermaid');
+    if (!el || !el.diagramView) return;
+    e.preventDefault();
+    if (e.type === 'gesturestart') {
+        el.gestureScale = 1;
+        return;
+    }
+    zoomDiagram(el, e.scale / (el.gestureScale || 1));
+    el.gestureScale = e.scale;
+}
+
+function handleDiagramPointerDown(e) {
+    const viewport = e.target.closest('.diagram-viewport');
+    const el = viewport && viewport.parentElement;
+    if (!el || !el.classList.contains('diagram-zoomed') || e.button !== 0) return;
+    e.preventDefault();
+
+    const start = { x: e.clientX, y: e.clientY, viewX: el.diagramView.x, viewY: el.diagramView.y };
+    let moved = false;
+    const move = event => {
+        moved = moved || Math.abs(event.clientX - start.x) + Math.abs(event.clientY - start.y) > 3;
+        el.diagramView.x = start.viewX + event.clientX - start.x;
+        el.diagramView.y = start.viewY + event.clientY - start.y;
+        applyDiagramView(el);
+    };
+    const end = () => {
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointerup', end);
+        el.classList.remove('diagram-panning');
+        // The click that ends a drag should not move the editor cursor (scroll-sync.js)
+        if (!moved) return;
+        const swallow = event => event.stopPropagation();
+        viewport.addEventListener('click', swallow, true);
+        setTimeout(() => viewport.removeEventListener('click', swallow, true), 0);
+    };
+    el.classList.add('diagram-panning');
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+}
+
+// --- Export ---
+
+// Standalone SVG markup with explicit pixel dimensions
+function diagramSvgMarkup(svgText) {
+    const svg = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement;
+    const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(n => !isNaN(n))) {
+        svg.setAttribute('width', String(Math.ceil(viewBox[2])));
+        svg.setAttribute('height', String(Math.ceil(viewBox[3])));
+    }
+    svg.style.removeProperty('max-width');
+    if (!svg.getAttribute('style')) svg.removeAttribute('style');
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return new XMLSerializer().serializeToString(svg);
+}
+
+function svgToPngBase64(markup) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(image.width * DIAGRAM_PNG_SCALE);
+            canvas.height = Math.ceil(image.height * DIAGRAM_PNG_SCALE);
+            const context = canvas.getContext('2d');
+            context.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-color').trim() || '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            try {
+                resolve(canvas.toDataURL('image/png').split(',')[1]);
+            } catch (e) {
+                reject(e);
+            }
+        };
+        image.onerror = () => reject(new Error('The diagram could not be drawn'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    });
+}
+
+// Source with the PNG directive, after any front matter
+function pngDiagramSource(source) {
+    const frontMatter = source.match(DIAGRAM_FRONT_MATTER_REGEX);
+    const at = frontMatter ? frontMatter[0].length : 0;
+    const head = source.slice(0, at);
+    return head + (head && !/\n$/.test(head) ? '\n' : '') + DIAGRAM_PNG_DIRECTIVE + source.slice(at);
+}
+
+function diagramFileName(el, format) {
+    const diagrams = Array.from(document.querySelectorAll('#preview .mermaid'));
+    return `${exportTitle()} diagram ${diagrams.indexOf(el) + 1}.${format}`; // export.js
+}
+
+// format: 'svg' | 'png'
+function exportDiagram(el, format) {
+    const name = diagramFileName(el, format);
+    const data = format === 'svg'
+        ? renderMermaidSvg(el.diagramSource).then(diagramSvgMarkup)
+        : renderMermaidSvg(pngDiagramSource(el.diagramSource)).then(diagramSvgMarkup).then(svgToPngBase64);
+
+    return data.then(content => {
+        if (hostSupports('exportDiagram')) {
+            bridgeSend('exportDiagram', { name: name, format: format, data: content });
+            return;
+        }
+        const link = document.createElement('a');
+        link.download = name;
+        link.href = format === 'svg'
+            ? 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(content)
+            : 'data:image/png;base64,' + content;
+        link.click();
+    }).catch(e => console.error("Diagram export failed:", e));
+}
+
+function handleDiagramToolbarClick(e) {
+    const button = e.target.closest('.diagram-toolbar button');
+    if (!button) return;
+    e.preventDefault();
+    const el = button.closest('.mermaid');
+    switch (button.dataset.action) {
+        case 'zoomIn': zoomDiagram(el, DIAGRAM_ZOOM_STEP); break;
+        case 'zoomOut': zoomDiagram(el, 1 / DIAGRAM_ZOOM_STEP); break;
+        case 'reset': resetDiagramView(el); break;
+        case 'svg':
+        case 'png':
+            exportDiagram(el, button.dataset.action);
+            break;
+    }
+}
+
+function initDiagrams() {
+    editor.setOption('gutters', editor.getOption('gutters').concat(DIAGRAM_ERROR_GUTTER));
+    document.addEventListener('previewrendered', updateDiagramErrorGutter);
+
+    const previewDiv = document.getElementById('preview');
+    previewDiv.addEventListener('click', handleDiagramToolbarClick);
+    previewDiv.addEventListener('wheel', handleDiagramWheel, { passive: false });
+    previewDiv.addEventListener('gesturestart', handleDiagramGesture);
+    previewDiv.addEventListener('gesturechange', handleDiagramGesture);
+    previewDiv.addEventListener('pointerdown', handleDiagramPointerDown);
+}
@@ -0,0 +1,254 @@
+// Export
+// Builds shareable copies of the note in the page and hands them to the host
+// (exportDocument bridge request) as a list of files:
+//
+//   html      one self-contained file: rendered note, the current theme's CSS,
+//             Mermaid as inline SVG, highlighted code, images as data: URIs
+//             and the canvas drawings overlaid as SVG
+//   markdown  the note without its DRAWING_DATA comment, plus assets/ with
+//             the local images it references (links rewritten to match)
+//
+// Files are { path, text } or { path, base64 }. Resources that cannot be read
+// are left as they were and reported in `missing`.
+
+const EXPORT_FORMATS = ['html', 'markdown'];
+const EXPORT_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/svg+xml': 'svg', 'image/webp': 'webp' };
+
+// --- Resources ---
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function fetchBlob(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw bridgeError('failed', `${url}: ${response.status}`);
+        return response.blob();
+    });
+}
+
+function isRemoteUrl(url) {
+    return /^(https?:)?\/\//i.test(url);
+}
+
+function isEmbeddedUrl(url) {
+    return /^data:/i.test(url);
+}
+
+// Link destination as written, without the <...> used for paths with spaces
+function imageLinkUrl(src) {
+    return src.trim().replace(/^<(.*)>$/, '$1');
+}
+
+// Front matter title, first heading, or "Note"
+function noteTitle() {
+    const metadata = noteMetadata(editor.getValue());
+    return metadata.title || (outlineHeadings[0] && outlineHeadings[0].text) || 'Note';
+}
+
+// noteTitle() made safe for file names
+function exportTitle() {
+    return noteTitle().replace(/[\/\\:*?"<>|]+/g, '-').trim() || 'Note';
+}
+
+// --- HTML ---
+
+// CSS of the page's own stylesheets, url() references resolved to data: URIs.
+// KaTeX (and its fonts) only when the note has math; none of the editor's.
+function collectExportCss(container, missing) {
+    const sheets = Array.from(document.styleSheets).filter(sheet => {
+        if (sheet.disabled) return false;
+        if (sheet.href && /codemirror/i.test(sheet.href)) return false;
+        return !(sheet.href && /katex/i.test(sheet.href) && !container.querySelector('.katex'));
+    });
+
+    return Promise.all(sheets.map(sheet => {
+        let css;
+        try {
+            css = Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        } catch (e) {
+            return ''; // Cross-origin (web fonts); the fallback fonts apply
+        }
+        const base = sheet.href || document.baseURI;
+        const urls = [];
+        css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (whole, quote, url) => {
+            if (!isEmbeddedUrl(url) && urls.indexOf(url) === -1) urls.push(url);
+        });
+        return Promise.all(urls.map(url => fetchBlob(new URL(url, base).href)
+            .then(blobToDataUrl)
+            .catch(() => { missing.push(url); return null; })
+        )).then(dataUrls => css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (whole, quote, url) => {
+            const dataUrl = dataUrls[urls.indexOf(url)];
+            return dataUrl ? `url("${dataUrl}")` : whole;
+        }));
+    })).then(parts => parts.join('\n'));
+}
+
+function inlineExportImages(container, missing) {
+    return Promise.all(Array.from(container.querySelectorAll('img[src]')).map(img => {
+        const src = img.getAttribute('src');
+        if (isEmbeddedUrl(src) || isRemoteUrl(src)) return null;
+        return fetchBlob(src).then(blobToDataUrl).then(dataUrl => {
+            img.setAttribute('src', dataUrl);
+        }).catch(() => missing.push(src));
+    }));
+}
+
+function inlineExportDiagrams(container) {
+    if (!window.mermaid) return Promise.resolve();
+    return Promise.all(Array.from(container.querySelectorAll('.mermaid')).map(el => {
+        return renderMermaidSvg(el.textContent).then(svg => {
+            el.innerHTML = svg;
+        }).catch(e => console.error("Export: diagram not rendered", e));
+    }));
+}
+
+// Element rendered from a source line: the closest [data-line] at or above it
+function elementForSourceLine(container, line) {
+    let block = null;
+    container.querySelectorAll('[data-line-start]').forEach(node => {
+        if (parseInt(node.dataset.lineStart, 10) <= line) block = node;
+    });
+    if (!block) return null;
+    const offset = line - parseInt(block.dataset.lineStart, 10);
+    let best = block;
+    block.querySelectorAll('[data-line]').forEach(el => {
+        if (parseInt(el.dataset.line, 10) <= offset) best = el;
+    });
+    return best;
+}
+
+// Each drawing as an SVG pinned to the element rendered from its anchor line.
+// Stroke points are relative to that line, so they land next to the same text.
+function appendStrokeOverlays(container) {
+    strokes.forEach(stroke => {
+        const line = resolveAnchorLine(stroke);
+        if (stroke.orphaned) return;
+        const host = elementForSourceLine(container, line);
+        if (!host) return;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'export-strokes');
+        svg.setAttribute('width', '1');
+        svg.setAttribute('height', '1');
+        svg.appendChild(createStrokeElement(stroke));
+        host.classList.add('has-strokes');
+        host.appendChild(svg);
+    });
+}
+
+// The note rendered into a detached container, ready to serialize
+function renderExportContainer() {
+    const container = document.createElement('article');
+    container.className = 'markdown-body export-document';
+    patchPreview(container, renderBlocks(editor.getValue()));
+    decorateExportContainer(container);
+    return container;
+}
+
+function decorateExportContainer(container) {
+    container.querySelectorAll('pre > code').forEach(code => code.classList.add('hljs'));
+    container.querySelectorAll('input.task-list-item-checkbox').forEach(box => box.setAttribute('disabled', ''));
+    if (document.body.classList.contains('front-matter-hidden')) {
+        container.querySelectorAll('.front-matter').forEach(card => card.remove());
+    }
+}
+
+const EXPORT_HTML_CSS = `
+body { display: block; height: auto; overflow: visible; padding: 0; }
+.export-document { max-width: 800px; margin: 40px auto; padding: 0 24px; }
+`;
+
+function exportHtml() {
+    const missing = [];
+    const container = renderExportContainer();
+    const title = exportTitle();
+
+    return Promise.all([
+        inlineExportDiagrams(container),
+        inlineExportImages(container, missing)
+    ]).then(() => {
+        appendStrokeOverlays(container);
+        container.querySelectorAll('[data-hash]').forEach(node => node.removeAttribute('data-hash'));
+        return collectExportCss(container, missing);
+    }).then(css => {
+        const body = document.body;
+        const classes = ['theme-dark', 'theme-light', 'hljs-themed'].filter(name => body.classList.contains(name));
+        const html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+            `<title>${md.utils.escapeHtml(noteTitle())}</title>\n` +
+            `<style>\n${css}\n${EXPORT_HTML_CSS}</style>\n</head>\n` +
+            `<body class="${classes.join(' ')}" data-theme="${body.dataset.theme}">\n${container.outerHTML}\n</body>\n</html>\n`;
+        return { name: title, files: [{ path: title + '.html', text: html }], missing: missing };
+    });
+}
+
+// --- Markdown bundle ---
+
+function assetFileName(src, type, used) {
+    const clean = decodeURIComponent(src.split(/[?#]/)[0]);
+    let name = /^blob:/i.test(src) ? '' : clean.split('/').pop();
+    if (!/\.\w+$/.test(name)) name = (name || 'image') + '.' + (EXPORT_IMAGE_TYPES[type] || 'png');
+    name = name.replace(/[\/\\:*?"<>|\s]+/g, '-');
+
+    const dot = name.lastIndexOf('.');
+    let candidate = name;
+    for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+        candidate = name.slice(0, dot) + '-' + n + name.slice(dot);
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function exportMarkdownBundle() {
+    const text = editor.getValue(); // DRAWING_DATA is only added by getContent()
+    const title = exportTitle();
+    const missing = [];
+    const sources = [];
+    const regex = imageMarkdownRegex();
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const src = imageLinkUrl(match[2]);
+        if (src && !isRemoteUrl(src) && !isEmbeddedUrl(src) && !isUploadPlaceholder(src) &&
+            sources.indexOf(src) === -1) sources.push(src);
+    }
+
+    const used = new Set();
+    return Promise.all(sources.map(src => fetchBlob(src)
+        .then(blob => blobToDataUrl(blob).then(dataUrl => ({
+            src: src,
+            path: 'assets/' + assetFileName(src, blob.type, used),
+            base64: dataUrl.slice(dataUrl.indexOf(',') + 1)
+        })))
+        .catch(() => { missing.push(src); return null; })
+    )).then(assets => {
+        assets = assets.filter(Boolean);
+        const paths = new Map(assets.map(asset => [asset.src, asset.path]));
+        const markdown = text.replace(imageMarkdownRegex(), (whole, alt, src, attrs) => {
+            const path = paths.get(imageLinkUrl(src));
+            return path ? `![${alt}](${encodeURI(path)})${attrs || ''}` : whole;
+        });
+        const files = [{ path: title + '.md', text: markdown }]
+            .concat(assets.map(asset => ({ path: asset.path, base64: asset.base64 })));
+        return { name: title, files: files, missing: missing };
+    });
+}
+
+// --- Entry point ---
+
+// Called by Native App (exportDocument request); resolves to { name, files, missing }
+function exportDocument(format) {
+    if (EXPORT_FORMATS.indexOf(format) === -1) {
+        return Promise.reject(bridgeError('invalid', `Unknown export format "${format}"`));
+    }
+    return format === 'html' ? exportHtml() : exportMarkdownBundle();
+}
+
+function initExport() {
+    onBridgeMessage('exportDocument', payload => exportDocument(payload.format));
+}
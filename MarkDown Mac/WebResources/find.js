@@ -0,0 +1,370 @@
+// Find & Replace
+// In-editor find bar (#find-bar): case / whole-word / regex options, every
+// match highlighted with a counter, Enter / Shift-Enter (Cmd-G / Shift-Cmd-G)
+// to step through them. Replace and Replace All are one undo step each.
+// While the preview is visible its text is highlighted too.
+//
+// Cmd-F opens the bar, Cmd-Alt-F opens it with the replace row. The host can
+// open it with the openFind bridge message.
+
+const FIND_DEBOUNCE_MS = 150;
+const FIND_HIGHLIGHT_LIMIT = 2000; // Matches beyond this are counted, not marked
+
+const findState = {
+    open: false,
+    query: '',
+    caseSensitive: false,
+    wholeWord: false,
+    regex: false,
+    matches: [],   // [{ from, to, groups }] as document indexes
+    current: -1,
+    marks: [],
+    timer: null
+};
+
+// --- Matching ---
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The search as a global RegExp, null for an empty query. Throws on an invalid pattern.
+function buildFindRegex(query, options) {
+    if (!query) return null;
+    let source = options.regex ? query : escapeRegExp(query);
+    if (options.wholeWord) source = '\\b(?:' + source + ')\\b';
+    return new RegExp(source, 'gm' + (options.caseSensitive ? '' : 'i'));
+}
+
+function findMatches(text, regex) {
+    const matches = [];
+    let match;
+    regex.lastIndex = 0;
+    while ((match = regex.exec(text)) !== null) {
+        if (match[0] === '') {
+            regex.lastIndex++; // Empty matches (e.g. ^) would loop forever
+            continue;
+        }
+        matches.push({ from: match.index, to: match.index + match[0].length, groups: match });
+    }
+    return matches;
+}
+
+// $&, $1..$99, $<name> and $$ like String.prototype.replace
+function expandReplacement(replacement, match) {
+    return replacement.replace(/\$(\$|&|\d{1,2}|<[^>]*>)/g, (whole, ref) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return match[0];
+        if (ref[0] === '<') {
+            const groups = match.groups || {};
+            const name = ref.slice(1, -1);
+            return name in groups ? (groups[name] || '') : whole;
+        }
+        const index = parseInt(ref, 10);
+        return index > 0 && index < match.length ? (match[index] || '') : whole;
+    });
+}
+
+function currentFindRegex() {
+    return buildFindRegex(findState.query, findState);
+}
+
+// --- Editor highlights ---
+
+function clearFindMarks() {
+    editor.operation(() => findState.marks.forEach(mark => mark.clear()));
+    findState.marks = [];
+}
+
+function markFindMatches() {
+    clearFindMarks();
+    editor.operation(() => {
+        findState.matches.slice(0, FIND_HIGHLIGHT_LIMIT).forEach((match, index) => {
+            findState.marks.push(editor.markText(
+                editor.posFromIndex(match.from),
+                editor.posFromIndex(match.to),
+                { className: index === findState.current ? 'find-match find-match-current' : 'find-match' }
+            ));
+        });
+    });
+}
+
+// --- Preview highlights ---
+
+function clearPreviewFindHighlights(previewDiv) {
+    previewDiv.querySelectorAll('mark.find-highlight').forEach(mark => {
+        const parent = mark.parentNode;
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+    });
+}
+
+// Matches inside single text nodes; svg, math and code widgets are left alone
+function highlightPreviewMatches() {
+    const previewDiv = document.getElementById('preview');
+    clearPreviewFindHighlights(previewDiv);
+    if (!findState.open || !isPreviewVisible()) return;
+
+    let regex;
+    try {
+        regex = currentFindRegex();
+    } catch (e) { return; }
+    if (!regex) return;
+
+    const walker = document.createTreeWalker(previewDiv, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentNode.closest('svg, .katex, script, style')
+            ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    let count = 0;
+    nodes.forEach(node => {
+        if (count >= FIND_HIGHLIGHT_LIMIT) return;
+        const matches = findMatches(node.nodeValue, regex);
+        if (matches.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        matches.forEach(match => {
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(last, match.from)));
+            const mark = document.createElement('mark');
+            mark.className = 'find-highlight';
+            mark.textContent = node.nodeValue.slice(match.from, match.to);
+            fragment.appendChild(mark);
+            last = match.to;
+            count++;
+        });
+        fragment.appendChild(document.createTextNode(node.nodeValue.slice(last)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+// --- Search ---
+
+function updateFindCounter(error) {
+    const counter = document.getElementById('find-count');
+    const bar = document.getElementById('find-bar');
+    bar.classList.toggle('invalid', !!error);
+    bar.classList.toggle('no-results', !error && !!findState.query && findState.matches.length === 0);
+
+    if (error) counter.textContent = 'Invalid pattern';
+    else if (!findState.query) counter.textContent = '';
+    else if (findState.matches.length === 0) counter.textContent = 'No results';
+    else if (findState.current === -1) counter.textContent = `${findState.matches.length} found`;
+    else counter.textContent = `${findState.current + 1} of ${findState.matches.length}`;
+}
+
+// First match at or after a document index
+function matchIndexFrom(index) {
+    const next = findState.matches.findIndex(match => match.from >= index);
+    return next === -1 ? (findState.matches.length ? 0 : -1) : next;
+}
+
+// Re-runs the search. keepPosition: stay on the match nearest the old one
+// (after edits) instead of moving to the first one after the cursor.
+function runFind(keepPosition) {
+    clearTimeout(findState.timer);
+    findState.timer = null;
+
+    let regex;
+    try {
+        regex = currentFindRegex();
+    } catch (e) {
+        findState.matches = [];
+        findState.current = -1;
+        clearFindMarks();
+        highlightPreviewMatches();
+        updateFindCounter(e);
+        return;
+    }
+
+    const previous = findState.matches[findState.current];
+    findState.matches = regex ? findMatches(editor.getValue(), regex) : [];
+    const from = keepPosition && previous ? previous.from : editor.indexFromPos(editor.getCursor('from'));
+    findState.current = matchIndexFrom(from);
+
+    markFindMatches();
+    highlightPreviewMatches();
+    updateFindCounter(null);
+    if (!keepPosition) revealCurrentMatch();
+}
+
+function scheduleFind() {
+    if (!findState.open) return;
+    clearTimeout(findState.timer);
+    findState.timer = setTimeout(() => runFind(true), FIND_DEBOUNCE_MS);
+}
+
+function revealCurrentMatch() {
+    const match = findState.matches[findState.current];
+    if (!match) return;
+    const from = editor.posFromIndex(match.from);
+    const to = editor.posFromIndex(match.to);
+    editor.setSelection(from, to);
+    editor.scrollIntoView({ from: from, to: to }, 80);
+
+    // Preview only: follow with the preview instead
+    if (document.getElementById('editor-pane').style.display === 'none' && isPreviewVisible()) {
+        const pane = document.getElementById('preview-pane');
+        pane.scrollTop = Math.max(0, previewTopForLine(from.line) - pane.clientHeight / 3);
+    }
+}
+
+function stepFind(direction) {
+    if (findState.timer) runFind(true);
+    const count = findState.matches.length;
+    if (count === 0) return false;
+    findState.current = findState.current === -1
+        ? matchIndexFrom(editor.indexFromPos(editor.getCursor(direction > 0 ? 'to' : 'from')))
+        : (findState.current + direction + count) % count;
+    markFindMatches();
+    updateFindCounter(null);
+    revealCurrentMatch();
+    return true;
+}
+
+// --- Replace ---
+
+function replacementFor(match, replacement) {
+    return findState.regex ? expandReplacement(replacement, match.groups) : replacement;
+}
+
+function replaceCurrent(replacement) {
+    if (findState.timer) runFind(true);
+    const match = findState.matches[findState.current];
+    if (!match) return false;
+    editor.operation(() => {
+        editor.replaceRange(replacementFor(match, replacement),
+            editor.posFromIndex(match.from), editor.posFromIndex(match.to), 'replace');
+    });
+    runFind(false); // Moves on to the next match after the replaced text
+    return true;
+}
+
+// Back to front so earlier indexes stay valid; one operation, one undo step
+function replaceAll(replacement) {
+    if (findState.timer) runFind(true);
+    const matches = findState.matches;
+    if (matches.length === 0) return 0;
+    editor.operation(() => {
+        for (let i = matches.length - 1; i >= 0; i--) {
+            editor.replaceRange(replacementFor(matches[i], replacement),
+                editor.posFromIndex(matches[i].from), editor.posFromIndex(matches[i].to), 'replace');
+        }
+    });
+    runFind(true);
+    return matches.length;
+}
+
+// --- Bar ---
+
+function syncFindOptionButtons() {
+    document.querySelectorAll('#find-bar [data-find-option]').forEach(button => {
+        const active = !!findState[button.dataset.findOption];
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
+function openFind(options) {
+    options = options || {};
+    const bar = document.getElementById('find-bar');
+    const input = document.getElementById('find-input');
+
+    let query = options.query;
+    if (query === undefined && editor.somethingSelected() && editor.getSelection().indexOf('\n') === -1) {
+        query = editor.getSelection(); // Like Cmd-E / Cmd-F in native text views
+    }
+    if (query !== undefined) input.value = query;
+
+    findState.open = true;
+    findState.query = input.value;
+    bar.hidden = false;
+    bar.classList.toggle('with-replace', !!options.replace);
+    syncFindOptionButtons();
+    input.focus();
+    input.select();
+    runFind(false);
+    return { matches: findState.matches.length };
+}
+
+function closeFind() {
+    if (!findState.open) return;
+    findState.open = false;
+    clearTimeout(findState.timer);
+    document.getElementById('find-bar').hidden = true;
+    clearFindMarks();
+    clearPreviewFindHighlights(document.getElementById('preview'));
+    if (document.getElementById('editor-pane').style.display !== 'none') editor.focus();
+}
+
+function initFind() {
+    const input = document.getElementById('find-input');
+    const replaceInput = document.getElementById('replace-input');
+    const mod = /Mac/.test(navigator.platform) ? 'Cmd' : 'Ctrl';
+
+    input.addEventListener('input', () => {
+        findState.query = input.value;
+        runFind(false);
+    });
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepFind(e.shiftKey ? -1 : 1);
+        }
+    });
+    replaceInput.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        if (e.metaKey || e.ctrlKey) replaceAll(replaceInput.value);
+        else replaceCurrent(replaceInput.value);
+    });
+
+    const bar = document.getElementById('find-bar');
+    bar.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFind();
+        } else if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'g') {
+            e.preventDefault();
+            stepFind(e.shiftKey ? -1 : 1);
+        }
+    });
+    bar.addEventListener('click', e => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.dataset.findOption) {
+            findState[button.dataset.findOption] = !findState[button.dataset.findOption];
+            syncFindOptionButtons();
+            runFind(false);
+            input.focus();
+        } else if (button.dataset.findAction === 'next') stepFind(1);
+        else if (button.dataset.findAction === 'previous') stepFind(-1);
+        else if (button.dataset.findAction === 'replace') replaceCurrent(replaceInput.value);
+        else if (button.dataset.findAction === 'replaceAll') replaceAll(replaceInput.value);
+        else if (button.dataset.findAction === 'close') closeFind();
+    });
+
+    const keyMap = {};
+    keyMap[mod + '-F'] = () => { openFind(); };
+    keyMap[mod + '-Alt-F'] = () => { openFind({ replace: true }); };
+    keyMap[mod + '-G'] = () => { if (!findState.open || !stepFind(1)) return CodeMirror.Pass; };
+    keyMap['Shift-' + mod + '-G'] = () => { if (!findState.open || !stepFind(-1)) return CodeMirror.Pass; };
+    keyMap['Esc'] = () => { if (!findState.open) return CodeMirror.Pass; closeFind(); };
+    editor.addKeyMap(CodeMirror.normalizeKeyMap(keyMap));
+
+    // Cmd-F while the preview has focus (preview-only mode)
+    document.addEventListener('keydown', e => {
+        if (!(mod === 'Cmd' ? e.metaKey : e.ctrlKey) || e.key.toLowerCase() !== 'f') return;
+        if (editor.getWrapperElement().contains(e.target) || bar.contains(e.target)) return;
+        e.preventDefault();
+        openFind({ replace: e.altKey });
+    });
+
+    editor.on('change', scheduleFind);
+    document.addEventListener('previewrendered', () => { if (findState.open) highlightPreviewMatches(); });
+
+    onBridgeMessage('openFind', payload => openFind({ query: payload.query, replace: payload.replace }));
+    onBridgeMessage('closeFind', closeFind);
+}
@@ -0,0 +1,525 @@
+// Formatting Commands
+// Markdown markup as toggles: running a command on text that already has the
+// markup removes it instead of nesting it (no more ****text****). Every
+// selection is handled, multi-cursor included. Inline commands work on each
+// line of a selection, line commands on every line touched by a selection.
+// A command is one editor operation, so one undo step.
+
+const INLINE_MARKERS = {
+    bold: '**',
+    italic: '*',
+    strikethrough: '~~',
+    code: '`'
+};
+
+const HEADING_REGEX = /^(\s{0,3})(#{1,6})(?:\s+|$)/;
+const LIST_REGEX = /^(\s*)([*+-]|\d+[.)])\s+(\[[ xX]\]\s+)?/;
+const QUOTE_REGEX = /^(\s*)>\s?/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const LINK_REGEX = /\[([^\]\n]*)\]\(([^)\s]*)(?:\s+"[^"\n]*")?\)/g;
+
+// --- Edits ---
+
+// Applies non-overlapping edits ({ from, to, text }) bottom-up and returns a
+// function mapping (edit index, offset into its new text) to a position.
+function applyEdits(cm, edits) {
+    const items = edits.map((edit, i) => ({
+        edit: edit, i: i,
+        start: cm.indexFromPos(edit.from),
+        end: cm.indexFromPos(edit.to)
+    })).sort((a, b) => a.start - b.start || a.i - b.i);
+
+    const kept = [];
+    let lastEnd = -1;
+    items.forEach(item => {
+        if (item.start < lastEnd) return; // Two cursors in the same markup
+        kept.push(item);
+        lastEnd = item.end;
+    });
+
+    const newStart = {};
+    let shift = 0;
+    kept.forEach(item => {
+        newStart[item.i] = item.start + shift;
+        shift += item.edit.text.length - (item.end - item.start);
+    });
+    kept.slice().reverse().forEach(item => {
+        if (cm.getRange(item.edit.from, item.edit.to) === item.edit.text) return;
+        cm.replaceRange(item.edit.text, item.edit.from, item.edit.to, 'format');
+    });
+
+    return (i, offset) => newStart[i] === undefined ? null : cm.posFromIndex(newStart[i] + offset);
+}
+
+// Lines touched by any selection, once each, in document order
+function selectedLines(cm) {
+    const lines = new Set();
+    cm.listSelections().forEach(range => {
+        const from = range.from();
+        const to = range.to();
+        const last = to.ch === 0 && to.line > from.line ? to.line - 1 : to.line;
+        for (let line = from.line; line <= last; line++) lines.add(line);
+    });
+    return Array.from(lines).sort((a, b) => a - b);
+}
+
+// Skips blank lines unless they are all there is
+function contentLines(cm, lines) {
+    const filled = lines.filter(line => cm.getLine(line).trim() !== '');
+    return filled.length ? filled : lines;
+}
+
+// Replaces the first `length` characters of each line, bottom-up
+function replaceLinePrefixes(cm, changes) {
+    changes.slice().sort((a, b) => b.line - a.line).forEach(change => {
+        cm.replaceRange(change.prefix, { line: change.line, ch: 0 }, { line: change.line, ch: change.length }, 'format');
+    });
+}
+
+// --- Inline markup ---
+
+function runBefore(text, ch, char) {
+    let n = 0;
+    while (ch - n - 1 >= 0 && text[ch - n - 1] === char) n++;
+    return n;
+}
+
+function runAfter(text, ch, char) {
+    let n = 0;
+    while (ch + n < text.length && text[ch + n] === char) n++;
+    return n;
+}
+
+// Does a run of `n` marker characters hold `marker`? A run of three
+// asterisks is bold and italic at once.
+function runHasMarker(n, marker) {
+    if (marker[0] === '*') return n === marker.length || n === 3;
+    return n >= marker.length;
+}
+
+// Marker runs on a line, paired left to right. A leading "* " is a bullet.
+function markerPairs(text, marker) {
+    const char = marker[0];
+    const runs = [];
+    for (let i = 0; i < text.length;) {
+        if (text[i] !== char) { i++; continue; }
+        let j = i;
+        while (j < text.length && text[j] === char) j++;
+        const isBullet = text.slice(0, i).trim() === '' && text[j] === ' ';
+        if (!isBullet && runHasMarker(j - i, marker)) runs.push({ start: i, end: j });
+        i = j;
+    }
+    const pairs = [];
+    for (let i = 0; i + 1 < runs.length; i += 2) pairs.push({ open: runs[i], close: runs[i + 1] });
+    return pairs;
+}
+
+// How to remove `marker` from the segment a..b of `text`, or null if the
+// segment is not marked up. Offsets of the result are line columns.
+function inlineMarkup(text, a, b, marker) {
+    const char = marker[0];
+    const k = marker.length;
+
+    // Markers right outside the selection (or an empty pair around the cursor)
+    if (runHasMarker(runBefore(text, a, char), marker) && runHasMarker(runAfter(text, b, char), marker)) {
+        return { from: a - k, to: b + k, inner: text.slice(a, b), selFrom: 0, selTo: b - a };
+    }
+    // Markers selected along with the text
+    if (b - a > 2 * k && runHasMarker(runAfter(text, a, char), marker) && runHasMarker(runBefore(text, b, char), marker)) {
+        return { from: a, to: b, inner: text.slice(a + k, b - k), selFrom: 0, selTo: b - a - 2 * k };
+    }
+    // Cursor somewhere inside a marked span
+    if (a === b) {
+        const pair = markerPairs(text, marker).find(p => p.open.end <= a && p.close.start >= a);
+        if (pair) {
+            return {
+                from: pair.open.end - k,
+                to: pair.close.start + k,
+                inner: text.slice(pair.open.end, pair.close.start),
+                selFrom: a - pair.open.end,
+                selTo: a - pair.open.end
+            };
+        }
+    }
+    return null;
+}
+
+function toggleInline(cm, marker) {
+    const ranges = cm.listSelections();
+    const segments = [];
+
+    ranges.forEach((range, r) => {
+        const from = range.from();
+        const to = range.to();
+        const multiLine = from.line !== to.line;
+        for (let line = from.line; line <= to.line; line++) {
+            const text = cm.getLine(line);
+            let a = line === from.line ? from.ch : 0;
+            let b = line === to.line ? to.ch : text.length;
+            // Markup cannot start or end with whitespace
+            while (a < b && /\s/.test(text[a])) a++;
+            while (b > a && /\s/.test(text[b - 1])) b--;
+            if (multiLine && a === b) continue;
+            segments.push({ range: r, line: line, a: a, b: b, markup: inlineMarkup(text, a, b, marker) });
+        }
+    });
+    if (segments.length === 0) return false;
+
+    const remove = segments.every(segment => segment.markup);
+    const edits = segments.map(segment => {
+        const line = segment.line;
+        const text = cm.getLine(line).slice(segment.a, segment.b);
+        if (remove) {
+            const m = segment.markup;
+            return { from: { line: line, ch: m.from }, to: { line: line, ch: m.to }, text: m.inner, selFrom: m.selFrom, selTo: m.selTo };
+        }
+        if (segment.markup) {
+            // Already marked while others are not: leave as is
+            return { from: { line: line, ch: segment.a }, to: { line: line, ch: segment.b }, text: text, selFrom: 0, selTo: text.length };
+        }
+        return {
+            from: { line: line, ch: segment.a },
+            to: { line: line, ch: segment.b },
+            text: marker + text + marker,
+            selFrom: marker.length,
+            selTo: marker.length + text.length
+        };
+    });
+
+    const position = applyEdits(cm, edits);
+    const selections = ranges.map((range, r) => {
+        const first = segments.findIndex(segment => segment.range === r);
+        let last = -1;
+        segments.forEach((segment, i) => { if (segment.range === r) last = i; });
+        if (first === -1) return { anchor: range.anchor, head: range.head };
+        // Across lines the markers stay selected, so toggling again finds them
+        const across = first !== last;
+        const anchor = position(first, across ? 0 : edits[first].selFrom);
+        const head = position(last, across ? edits[last].text.length : edits[last].selTo);
+        return anchor && head ? { anchor: anchor, head: head } : { anchor: range.anchor, head: range.head };
+    });
+    cm.setSelections(selections);
+    return true;
+}
+
+// --- Line markup ---
+
+function headingLevel(text) {
+    const match = text.match(HEADING_REGEX);
+    return match ? match[2].length : 0;
+}
+
+// level 0 turns headings back into paragraphs. Setting the level a line
+// already has removes it.
+function setHeading(cm, level) {
+    const lines = contentLines(cm, selectedLines(cm));
+    const toggleOff = level > 0 && lines.every(line => headingLevel(cm.getLine(line)) === level);
+    replaceLinePrefixes(cm, lines.map(line => {
+        const match = cm.getLine(line).match(HEADING_REGEX);
+        const indent = match ? match[1] : '';
+        return {
+            line: line,
+            length: match ? match[0].length : 0,
+            prefix: toggleOff || level === 0 ? indent : indent + '#'.repeat(level) + ' '
+        };
+    }));
+    return true;
+}
+
+// # -> ## -> ### -> paragraph -> #
+function cycleHeading(cm) {
+    const current = headingLevel(cm.getLine(cm.getCursor().line));
+    return setHeading(cm, current >= 3 ? 0 : current + 1);
+}
+
+function toggleBlockquote(cm) {
+    const lines = selectedLines(cm);
+    const quoted = lines.every(line => QUOTE_REGEX.test(cm.getLine(line)));
+    replaceLinePrefixes(cm, lines.map(line => {
+        const match = cm.getLine(line).match(QUOTE_REGEX);
+        if (quoted) return { line: line, length: match[0].length, prefix: match[1] };
+        return { line: line, length: 0, prefix: '> ' };
+    }));
+    return true;
+}
+
+function listKind(text) {
+    const match = text.match(LIST_REGEX);
+    if (!match) return null;
+    if (match[3]) return 'task';
+    return /\d/.test(match[2]) ? 'ordered' : 'bullet';
+}
+
+// kind: bullet | ordered | task. Other list types are converted.
+function toggleList(cm, kind) {
+    const lines = contentLines(cm, selectedLines(cm));
+    const remove = lines.every(line => listKind(cm.getLine(line)) === kind);
+
+    // Continue the numbering of an ordered list right above
+    let number = 1;
+    const above = lines[0] > 0 ? cm.getLine(lines[0] - 1).match(/^\s*(\d+)[.)]\s/) : null;
+    if (kind === 'ordered' && above) number = parseInt(above[1], 10) + 1;
+
+    replaceLinePrefixes(cm, lines.map(line => {
+        const text = cm.getLine(line);
+        const match = text.match(LIST_REGEX);
+        const indent = match ? match[1] : text.match(/^\s*/)[0];
+        const length = match ? match[0].length : indent.length;
+        if (remove) return { line: line, length: length, prefix: indent };
+
+        let marker = '- ';
+        if (kind === 'ordered') marker = (number++) + '. ';
+        if (kind === 'task') marker = '- [ ] ';
+        return { line: line, length: length, prefix: indent + marker };
+    }));
+    return true;
+}
+
+function insertHorizontalRule(cm) {
+    const lines = Array.from(new Set(cm.listSelections().map(range => range.head.line)));
+    lines.sort((a, b) => b - a).forEach(line => {
+        const text = cm.getLine(line);
+        if (text.trim() === '') {
+            cm.replaceRange('---\n', { line: line, ch: 0 }, { line: line, ch: text.length }, 'format');
+        } else {
+            cm.replaceRange('\n\n---\n', { line: line, ch: text.length }, null, 'format');
+        }
+    });
+    return true;
+}
+
+// --- Code fences ---
+
+// Fence lines enclosing the block first..last, directly around or inside it
+function enclosingFence(cm, first, last) {
+    if (FENCE_REGEX.test(cm.getLine(first)) && last > first && /^\s*(```|~~~)\s*$/.test(cm.getLine(last))) {
+        return { open: first, close: last };
+    }
+    if (first > 0 && last < cm.lastLine() &&
+        FENCE_REGEX.test(cm.getLine(first - 1)) && /^\s*(```|~~~)\s*$/.test(cm.getLine(last + 1))) {
+        return { open: first - 1, close: last + 1 };
+    }
+    return null;
+}
+
+function toggleCodeBlock(cm, language) {
+    const blocks = cm.listSelections().map(range => {
+        const from = range.from();
+        const to = range.to();
+        const last = to.ch === 0 && to.line > from.line ? to.line - 1 : to.line;
+        return { first: from.line, last: last, fence: enclosingFence(cm, from.line, last) };
+    });
+    const remove = blocks.every(block => block.fence);
+    if (!remove && language === undefined) {
+        // Ask once, then apply to every selection
+        return promptInEditor(cm, 'Language', 'e.g. swift (optional)').then(answer => {
+            if (answer === null) return false;
+            return cm.operation(() => toggleCodeBlock(cm, answer.trim()));
+        });
+    }
+
+    if (remove) {
+        const fences = new Map();
+        blocks.forEach(block => fences.set(block.fence.open, block.fence));
+        Array.from(fences.values()).sort((a, b) => b.open - a.open).forEach(fence => {
+            removeLine(cm, fence.close);
+            removeLine(cm, fence.open);
+        });
+        return true;
+    }
+
+    // One fence per block; cursors move down with their text
+    const wrapped = Array.from(new Set(blocks.filter(block => !block.fence).map(block => block.first)))
+        .map(first => blocks.find(block => block.first === first))
+        .sort((a, b) => b.first - a.first);
+    const selections = cm.listSelections().map(range => {
+        const shift = line => line + wrapped.filter(block => block.first <= line).length +
+            wrapped.filter(block => block.last < line).length;
+        return {
+            anchor: { line: shift(range.anchor.line), ch: range.anchor.ch },
+            head: { line: shift(range.head.line), ch: range.head.ch }
+        };
+    });
+    wrapped.forEach(block => {
+        cm.replaceRange('\n```', { line: block.last, ch: cm.getLine(block.last).length }, null, 'format');
+        cm.replaceRange('```' + (language || '') + '\n', { line: block.first, ch: 0 }, null, 'format');
+    });
+    cm.setSelections(selections);
+    return true;
+}
+
+function removeLine(cm, line) {
+    if (line < cm.lastLine()) {
+        cm.replaceRange('', { line: line, ch: 0 }, { line: line + 1, ch: 0 }, 'format');
+    } else if (line > 0) {
+        cm.replaceRange('', { line: line - 1, ch: cm.getLine(line - 1).length }, { line: line, ch: cm.getLine(line).length }, 'format');
+    } else {
+        cm.replaceRange('', { line: 0, ch: 0 }, { line: 0, ch: cm.getLine(0).length }, 'format');
+    }
+}
+
+// --- Links ---
+
+// The [text](url) link on `line` containing columns a..b, if any
+function linkAt(cm, line, a, b) {
+    const text = cm.getLine(line);
+    const regex = new RegExp(LINK_REGEX.source, 'g');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (match.index > 0 && text[match.index - 1] === '!') continue; // Image
+        if (match.index <= a && b <= end) return { from: match.index, to: end, text: match[1], url: match[2] };
+    }
+    return null;
+}
+
+function toggleLink(cm, url) {
+    const ranges = cm.listSelections();
+    const links = ranges.map(range => {
+        const from = range.from();
+        const to = range.to();
+        return from.line === to.line ? linkAt(cm, from.line, from.ch, to.ch) : null;
+    });
+
+    if (links.every(Boolean)) {
+        // Unlink, keeping the text
+        const edits = links.map((link, i) => ({
+            from: { line: ranges[i].from().line, ch: link.from },
+            to: { line: ranges[i].from().line, ch: link.to },
+            text: link.text
+        }));
+        const position = applyEdits(cm, edits);
+        cm.setSelections(edits.map((edit, i) => ({ anchor: position(i, 0), head: position(i, edit.text.length) })));
+        return true;
+    }
+
+    if (url === undefined) {
+        const selected = cm.getSelection().trim();
+        return promptInEditor(cm, 'URL', 'https://', /^[a-z][\w+.-]*:\/\/\S+$/i.test(selected) ? selected : '').then(answer => {
+            if (answer === null || answer.trim() === '') return false;
+            return cm.operation(() => toggleLink(cm, answer.trim()));
+        });
+    }
+
+    const target = /\s/.test(url) ? `<${url}>` : url;
+    const edits = ranges.map((range, i) => {
+        if (links[i]) {
+            const line = range.from().line;
+            return { from: { line: line, ch: links[i].from }, to: { line: line, ch: links[i].to }, text: cm.getRange({ line: line, ch: links[i].from }, { line: line, ch: links[i].to }), selFrom: 1, selTo: 1 + links[i].text.length };
+        }
+        const text = cm.getRange(range.from(), range.to()).replace(/\n/g, ' ');
+        return { from: range.from(), to: range.to(), text: `[${text}](${target})`, selFrom: 1, selTo: 1 + text.length };
+    });
+    const position = applyEdits(cm, edits);
+    cm.setSelections(edits.map((edit, i) => ({ anchor: position(i, edit.selFrom), head: position(i, edit.selTo) })));
+    return true;
+}
+
+// --- Prompt ---
+
+// Small input under the cursor. Resolves with the text, or null on Escape
+// or when focus leaves it.
+function promptInEditor(cm, label, placeholder, initial) {
+    return new Promise(resolve => {
+        const form = document.createElement('form');
+        form.className = 'format-prompt';
+        const caption = document.createElement('span');
+        caption.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder || '';
+        input.value = initial || '';
+        form.appendChild(caption);
+        form.appendChild(input);
+
+        let settled = false;
+        function finish(value) {
+            if (settled) return;
+            settled = true;
+            form.remove();
+            cm.focus();
+            resolve(value);
+        }
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            finish(input.value);
+        });
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(null);
+            }
+        });
+        input.addEventListener('blur', () => finish(null));
+
+        cm.addWidget(cm.getCursor('head'), form, true);
+        input.focus();
+        input.select();
+    });
+}
+
+// --- Commands ---
+
+const FORMAT_COMMANDS = {
+    bold: cm => toggleInline(cm, INLINE_MARKERS.bold),
+    italic: cm => toggleInline(cm, INLINE_MARKERS.italic),
+    strikethrough: cm => toggleInline(cm, INLINE_MARKERS.strikethrough),
+    code: cm => toggleInline(cm, INLINE_MARKERS.code),
+    heading: cycleHeading,
+    paragraph: cm => setHeading(cm, 0),
+    quote: toggleBlockquote,
+    list: cm => toggleList(cm, 'bullet'),
+    orderedList: cm => toggleList(cm, 'ordered'),
+    taskList: cm => toggleList(cm, 'task'),
+    toggleTask: toggleTaskItems, // tasks.js
+    codeBlock: (cm, options) => toggleCodeBlock(cm, options.language),
+    link: (cm, options) => toggleLink(cm, options.url),
+    horizontalRule: insertHorizontalRule,
+    indent: cm => cm.indentSelection('add'),
+    outdent: cm => cm.indentSelection('subtract')
+};
+[1, 2, 3, 4, 5, 6].forEach(level => {
+    FORMAT_COMMANDS['h' + level] = cm => setHeading(cm, level);
+});
+
+// Called by Native App (toggleFormat bridge message) and the shortcuts below.
+// options: { language } for codeBlock, { url } for link; without them the
+// user is asked.
+function toggleFormat(type, options) {
+    const command = FORMAT_COMMANDS[type];
+    if (!command) {
+        console.error("Unknown format:", type);
+        return false;
+    }
+    const result = editor.operation(() => command(editor, options || {}));
+    if (!result || !result.then) editor.focus();
+    return result;
+}
+
+// Shortcuts for extraKeys. Cmd on the Mac, Ctrl elsewhere.
+function formattingKeyMap() {
+    const mod = /Mac/.test(navigator.platform) ? 'Cmd' : 'Ctrl';
+    const shortcuts = {
+        'B': 'bold',
+        'I': 'italic',
+        'Shift-X': 'strikethrough',
+        'E': 'code',
+        'Alt-C': 'codeBlock',
+        'K': 'link',
+        "'": 'quote',
+        'Shift-8': 'list',
+        'Shift-7': 'orderedList',
+        'Shift-9': 'taskList',
+        'Enter': 'toggleTask',
+        'Shift--': 'horizontalRule',
+        ']': 'indent',
+        '[': 'outdent',
+        '0': 'paragraph',
+        '1': 'h1', '2': 'h2', '3': 'h3', '4': 'h4', '5': 'h5', '6': 'h6'
+    };
+    const keyMap = {};
+    Object.keys(shortcuts).forEach(key => {
+        keyMap[mod + '-' + key] = () => { toggleFormat(shortcuts[key]); };
+    });
+    return CodeMirror.normalizeKeyMap(keyMap);
+}
@@ -0,0 +1,313 @@
+// Front Matter
+// A note may start with YAML between --- lines:
+//
+//   ---
+//   title: Trip notes
+//   tags: [travel, japan]
+//   created: 2024-03-01
+//   ---
+//
+// A markdown-it block rule takes it out of the document before anything else
+// sees it (so it no longer renders as a rule and a heading) and shows it as a
+// metadata card, hidden with setFrontMatterVisible. The editor highlights it
+// as YAML (mode markdown-frontmatter). Its fields plus the #tags in the body
+// are reported to the host as noteMetadata whenever they change.
+//
+// Without a closing --- line there is no front matter: the opening line is
+// a thematic break, in the preview and in the editor.
+//
+// Only the YAML used by notes is understood: key: value pairs, quoted
+// strings, [inline, lists], "- item" lists, | and > blocks and one level of
+// nested keys.
+
+const FRONT_MATTER_OPEN_REGEX = /^---\s*$/;
+const FRONT_MATTER_CLOSE_REGEX = /^(---|\.\.\.)\s*$/;
+const INLINE_TAG_REGEX = /(^|[\s(])#([\p{L}\p{N}_\-/]*[\p{L}_\-/][\p{L}\p{N}_\-/]*)/gu;
+
+let lastNoteMetadata = null;
+
+// --- Parsing ---
+
+// { yaml, endLine } for a note starting with front matter, else null
+function findFrontMatter(lines) {
+    if (lines.length < 2 || !FRONT_MATTER_OPEN_REGEX.test(lines[0])) return null;
+    for (let i = 1; i < lines.length; i++) {
+        if (FRONT_MATTER_CLOSE_REGEX.test(lines[i])) {
+            return { yaml: lines.slice(1, i).join('\n'), endLine: i };
+        }
+    }
+    return null;
+}
+
+function splitYamlList(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim() !== '') items.push(current);
+    return items;
+}
+
+function parseYamlScalar(text) {
+    text = text.trim();
+    if (text[0] === '"') {
+        try {
+            return JSON.parse(text.replace(/\s+#.*$/, ''));
+        } catch (e) { return text.slice(1, -1); }
+    }
+    if (text[0] === "'") return text.replace(/\s+#.*$/, '').slice(1, -1).replace(/''/g, "'");
+
+    text = text.replace(/\s+#.*$/, '');
+    if (text[0] === '[' && text[text.length - 1] === ']') {
+        return splitYamlList(text.slice(1, -1)).map(parseYamlScalar);
+    }
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text; // Dates stay strings
+}
+
+function parseFrontMatterYaml(yaml) {
+    const data = {};
+    const lines = yaml.split('\n');
+    let key = null; // Top-level key the indented lines belong to
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '' || /^\s*#/.test(line)) continue;
+
+        const pair = line.match(/^([^\s#:-][^:]*?)\s*:(?:\s+(.*)|\s*$)/);
+        if (pair) {
+            key = pair[1].trim();
+            const value = pair[2] === undefined ? '' : pair[2];
+            if (/^[|>][+-]?$/.test(value.trim())) {
+                // Block scalar: the indented lines that follow
+                const block = [];
+                while (i + 1 < lines.length && (/^\s/.test(lines[i + 1]) || lines[i + 1].trim() === '')) {
+                    block.push(lines[++i].trim());
+                }
+                data[key] = value.trim()[0] === '|' ? block.join('\n').trim() : block.join(' ').replace(/\s+/g, ' ').trim();
+            } else {
+                data[key] = parseYamlScalar(value);
+            }
+            continue;
+        }
+        if (key === null) continue;
+
+        const item = line.match(/^\s*-\s+(.*)$|^\s*-$/);
+        if (item) {
+            if (!Array.isArray(data[key])) data[key] = [];
+            data[key].push(parseYamlScalar(item[1] || ''));
+            continue;
+        }
+        const nested = line.match(/^\s+([^\s#:][^:]*?)\s*:\s*(.*)$/);
+        if (nested) {
+            if (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key])) data[key] = {};
+            data[key][nested[1]] = parseYamlScalar(nested[2]);
+        }
+    }
+    return data;
+}
+
+// --- Metadata ---
+
+// A list field written as a YAML list or a plain string ("tags: a, b" / "tags: a b")
+function metadataList(value, separator) {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) return value.filter(item => item !== null && item !== '').map(String);
+    return String(value).split(separator || /\s*,\s*/).filter(Boolean);
+}
+
+// #tags outside code
+function inlineTags(text) {
+    const tags = [];
+    let fence = null;
+    text.split('\n').forEach(line => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1];
+            else if (fence === fenceMatch[1]) fence = null;
+            return;
+        }
+        if (fence || /^( {4}|\t)/.test(line)) return;
+        const prose = line.replace(/`[^`]*`/g, ' ').replace(/\]\([^)]*\)/g, '] ');
+        let match;
+        INLINE_TAG_REGEX.lastIndex = 0;
+        while ((match = INLINE_TAG_REGEX.exec(prose)) !== null) tags.push(match[2]);
+    });
+    return tags;
+}
+
+function uniqueTags(tags) {
+    const seen = new Set();
+    return tags.map(tag => tag.replace(/^#/, '').trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// { title?, created?, tags, aliases, fields } of a note's text
+function noteMetadata(text) {
+    const lines = text.split('\n');
+    const frontMatter = findFrontMatter(lines);
+    const fields = frontMatter ? parseFrontMatterYaml(frontMatter.yaml) : {};
+    const body = frontMatter ? lines.slice(frontMatter.endLine + 1).join('\n') : text;
+
+    const metadata = {
+        tags: uniqueTags(metadataList(fields.tags || fields.tag, /[,\s]+/).concat(inlineTags(body))),
+        aliases: metadataList(fields.aliases || fields.alias),
+        fields: fields
+    };
+    if (fields.title !== undefined && fields.title !== null) metadata.title = String(fields.title);
+    if (fields.created !== undefined && fields.created !== null) metadata.created = String(fields.created);
+    return metadata;
+}
+
+function reportNoteMetadata() {
+    const metadata = noteMetadata(editor.getValue());
+    const json = JSON.stringify(metadata);
+    if (json === lastNoteMetadata) return;
+    lastNoteMetadata = json;
+    bridgeSend('noteMetadata', metadata);
+}
+
+// --- markdown-it plugin ---
+
+function markdownitFrontMatter(md) {
+    md.block.ruler.before('table', 'front_matter', function (state, startLine, endLine, silent) {
+        if (startLine !== 0 || state.parentType !== 'root') return false;
+        const lineText = line => state.src.slice(state.bMarks[line], state.eMarks[line]);
+        if (!FRONT_MATTER_OPEN_REGEX.test(lineText(0))) return false;
+
+        const lines = [];
+        for (let line = 0; line < endLine; line++) {
+            lines.push(lineText(line));
+            if (line > 0 && FRONT_MATTER_CLOSE_REGEX.test(lines[line])) break;
+        }
+        const frontMatter = findFrontMatter(lines);
+        if (!frontMatter) return false;
+        if (silent) return true;
+
+        const token = state.push('front_matter', 'div', 0);
+        token.block = true;
+        token.content = frontMatter.yaml;
+        token.meta = parseFrontMatterYaml(frontMatter.yaml);
+        token.map = [0, frontMatter.endLine + 1];
+        state.line = frontMatter.endLine + 1;
+        return true;
+    });
+
+    md.renderer.rules.front_matter = function (tokens, idx, options, env, self) {
+        return renderFrontMatterCard(tokens[idx].meta, self.renderAttrs(tokens[idx]), md.utils.escapeHtml);
+    };
+}
+
+function frontMatterValueHtml(value, escapeHtml) {
+    if (Array.isArray(value)) {
+        return value.map(item => `<span class="front-matter-chip">${escapeHtml(String(item))}</span>`).join(' ');
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).map(key => `${escapeHtml(key)}: ${escapeHtml(String(value[key]))}`).join(', ');
+    }
+    return escapeHtml(value === null ? '' : String(value));
+}
+
+function renderFrontMatterCard(fields, attrs, escapeHtml) {
+    let html = `<div class="front-matter"${attrs}>`;
+    if (fields.title !== undefined && fields.title !== null) {
+        html += `<div class="front-matter-title">${escapeHtml(String(fields.title))}</div>`;
+    }
+    const rows = Object.keys(fields).filter(key => key !== 'title');
+    if (rows.length) {
+        html += '<dl>' + rows.map(key => {
+            const value = key === 'tags' ? metadataList(fields[key], /[,\s]+/) : key === 'aliases' ? metadataList(fields[key]) : fields[key];
+            return `<dt>${escapeHtml(key)}</dt><dd>${frontMatterValueHtml(value, escapeHtml)}</dd>`;
+        }).join('') + '</dl>';
+    }
+    return html + '</div>\n';
+}
+
+// --- Editor ---
+
+function yamlToken(stream) {
+    const lineStart = /^\s*(-\s+)?$/.test(stream.string.slice(0, stream.pos)); // Nested and list item keys too
+    if (lineStart && stream.match(/^[^\s#:-][^:]*?(?=\s*:(\s|$))/)) return 'yaml-key';
+    if (stream.match(/^\s+/)) return null;
+    if (stream.match(/^#.*/)) return 'yaml-comment';
+    if (stream.match(/^"(?:[^"\\]|\\.)*"?/) || stream.match(/^'(?:[^']|'')*'?/)) return 'yaml-string';
+    if (stream.match(/^-?\d[\d\-:.]*(?=[\s,\]]|$)/)) return 'yaml-number';
+    if (stream.match(/^(true|false|null|~)(?=[\s,\]]|$)/)) return 'yaml-atom';
+    if (stream.match(/^[:\-\[\]{},|>]/)) return 'yaml-punctuation';
+    if (!stream.match(/^[^\s#:,\[\]{}"']+/)) stream.next();
+    return 'yaml-value';
+}
+
+// Like findFrontMatter, from the opening line of the editor: is there a
+// closing line further down? (CodeMirror re-highlights when those lines change)
+function hasFrontMatterClose(stream) {
+    for (let i = 1; ; i++) {
+        const line = stream.lookAhead(i);
+        if (line === undefined || line === null) return false;
+        if (FRONT_MATTER_CLOSE_REGEX.test(line)) return true;
+    }
+}
+
+// Editor mode: YAML for the leading --- block, markdown after it. Wraps the
+// markdown mode the way CodeMirror's yaml-frontmatter mode does, so the
+// markdown state (lists, fences) is reachable through CodeMirror.innerMode.
+CodeMirror.defineMode('markdown-frontmatter', function (config) {
+    const markdown = CodeMirror.getMode(config, 'markdown');
+    return {
+        startState: () => ({ phase: 'start', inner: CodeMirror.startState(markdown) }),
+        copyState: state => ({ phase: state.phase, inner: CodeMirror.copyState(markdown, state.inner) }),
+        token: (stream, state) => {
+            if (state.phase === 'start') {
+                state.phase = 'markdown';
+                if (FRONT_MATTER_OPEN_REGEX.test(stream.string) && hasFrontMatterClose(stream)) {
+                    stream.skipToEnd();
+                    state.phase = 'yaml';
+                    return 'yaml-delimiter';
+                }
+            }
+            if (state.phase === 'yaml') {
+                if (stream.sol() && stream.match(FRONT_MATTER_CLOSE_REGEX)) {
+                    state.phase = 'markdown';
+                    return 'yaml-delimiter';
+                }
+                return yamlToken(stream);
+            }
+            return markdown.token(stream, state.inner);
+        },
+        blankLine: state => {
+            if (state.phase === 'start') state.phase = 'markdown';
+            if (state.phase === 'markdown' && markdown.blankLine) return markdown.blankLine(state.inner);
+        },
+        innerMode: function (state) {
+            return state.phase === 'markdown' ? { state: state.inner, mode: markdown } : { state: state, mode: this };
+        },
+        indent: (state, textAfter, line) => state.phase === 'markdown' && markdown.indent
+            ? markdown.indent(state.inner, textAfter, line) : CodeMirror.Pass
+    };
+});
+
+function setFrontMatterVisible(visible) {
+    document.body.classList.toggle('front-matter-hidden', !visible);
+}
+
+function initFrontMatter() {
+    onBridgeMessage('setFrontMatterVisible', payload => setFrontMatterVisible(payload.visible));
+    onBridgeMessage('getNoteMetadata', () => noteMetadata(editor.getValue()));
+}
@@ -0,0 +1,515 @@
+// Revision History
+// Snapshots of the note (text plus DRAWING_DATA, as getContent() stores it)
+// kept by the host: saveRevision / listRevisions / loadRevision.
+//
+//   - a snapshot is taken a few minutes after local edits start, on demand
+//     (historyAction 'snapshot' or the panel's button), and before a restore
+//   - the history panel lists revisions; picking one shows a word-level diff
+//     against the current text, inline or side by side
+//   - restoring the whole revision or the ticked hunks is one text edit, so
+//     Cmd-Z takes it back. A drawing is restored with the whole revision, as
+//     a step of the canvas history: it has its own undo (Cmd-Z in drawing
+//     mode), and the panel says so.
+//
+// Diffs are by line first (Myers), then by word inside each changed hunk.
+
+const REVISION_INTERVAL_MS = 5 * 60 * 1000;
+const REVISION_DIFF_DEBOUNCE_MS = 300;
+const DIFF_EDIT_LIMIT = 5000;      // Beyond this many edits a region is shown as replaced
+const DIFF_CONTEXT_LINES = 3;
+const WORD_TOKEN_REGEX = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+const REVISION_REASON_LABELS = { auto: 'Auto-saved', manual: 'Snapshot', restore: 'Before restore' };
+
+const revisionState = {
+    lastContent: null,  // Content of the last snapshot (or the note as opened)
+    timer: null,
+    revisions: [],      // [{ id, date, reason }] from the host, newest first
+    texts: new Map(),   // id -> stored content
+    selected: null,     // id shown in the diff
+    view: 'inline',     // 'inline' | 'split'
+    diff: null,         // { current, revision, drawing, runs, hunks } being shown
+    diffTimer: null
+};
+
+// --- Diff ---
+
+// Myers' O(ND) diff. Runs of { type: 'equal' | 'delete' | 'insert',
+// oldStart, oldEnd, newStart, newEnd } covering both sequences in order.
+function diffSequences(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const runs = [];
+    const push = (type, oldStart, oldEnd, newStart, newEnd) => {
+        if (oldStart === oldEnd && newStart === newEnd) return;
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.oldEnd = oldEnd;
+            last.newEnd = newEnd;
+        } else {
+            runs.push({ type: type, oldStart: oldStart, oldEnd: oldEnd, newStart: newStart, newEnd: newEnd });
+        }
+    };
+
+    push('equal', 0, prefix, 0, prefix);
+    const edits = myersEdits(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+    edits.forEach(edit => push(edit.type, prefix + edit.oldStart, prefix + edit.oldEnd, prefix + edit.newStart, prefix + edit.newEnd));
+    push('equal', a.length - suffix, a.length, b.length - suffix, b.length);
+    return runs;
+}
+
+// Single-step edits between a and b, in order
+function myersEdits(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const replaced = () => [
+        { type: 'delete', oldStart: 0, oldEnd: n, newStart: 0, newEnd: 0 },
+        { type: 'insert', oldStart: n, oldEnd: n, newStart: 0, newEnd: m }
+    ];
+    if (n === 0 || m === 0) return replaced();
+
+    const max = Math.min(n + m, DIFF_EDIT_LIMIT);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = []; // v[-d-1 .. d+1] before each round d
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) return replaced();
+
+    // Walk back from the end through the rounds
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const round = trace[d];
+        const at = k => round[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            edits.push({ type: 'equal', oldStart: x, oldEnd: x + 1, newStart: y, newEnd: y + 1 });
+        }
+        if (d > 0) {
+            if (x === prevX) edits.push({ type: 'insert', oldStart: x, oldEnd: x, newStart: prevY, newEnd: prevY + 1 });
+            else edits.push({ type: 'delete', oldStart: prevX, oldEnd: prevX + 1, newStart: y, newEnd: y });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return edits.reverse();
+}
+
+// Changed line regions: { oldStart, oldEnd, newStart, newEnd }
+function diffHunks(runs) {
+    const hunks = [];
+    let hunk = null;
+    runs.forEach(run => {
+        if (run.type === 'equal') {
+            hunk = null;
+            return;
+        }
+        if (!hunk) {
+            hunk = { oldStart: run.oldStart, oldEnd: run.oldStart, newStart: run.newStart, newEnd: run.newStart };
+            hunks.push(hunk);
+        }
+        hunk.oldEnd = run.oldEnd;
+        hunk.newEnd = run.newEnd;
+    });
+    return hunks;
+}
+
+function escapeDiffHtml(text) {
+    return md.utils.escapeHtml(text);
+}
+
+// { old, new } HTML of a hunk with changed words in <del> / <ins>
+function wordDiffHtml(oldText, newText) {
+    const oldWords = oldText.match(WORD_TOKEN_REGEX) || [];
+    const newWords = newText.match(WORD_TOKEN_REGEX) || [];
+    let oldHtml = '';
+    let newHtml = '';
+    diffSequences(oldWords, newWords).forEach(run => {
+        const removed = escapeDiffHtml(oldWords.slice(run.oldStart, run.oldEnd).join(''));
+        const added = escapeDiffHtml(newWords.slice(run.newStart, run.newEnd).join(''));
+        if (run.type === 'equal') {
+            oldHtml += removed;
+            newHtml += added;
+        } else if (run.type === 'delete') {
+            oldHtml += `<del>${removed}</del>`;
+        } else {
+            newHtml += `<ins>${added}</ins>`;
+        }
+    });
+    return { old: oldHtml, new: newHtml };
+}
+
+// One column: deletions and insertions in reading order
+function inlineWordDiffHtml(oldText, newText) {
+    const oldWords = oldText.match(WORD_TOKEN_REGEX) || [];
+    const newWords = newText.match(WORD_TOKEN_REGEX) || [];
+    return diffSequences(oldWords, newWords).map(run => {
+        if (run.type === 'equal') return escapeDiffHtml(newWords.slice(run.newStart, run.newEnd).join(''));
+        if (run.type === 'delete') return `<del>${escapeDiffHtml(oldWords.slice(run.oldStart, run.oldEnd).join(''))}</del>`;
+        return `<ins>${escapeDiffHtml(newWords.slice(run.newStart, run.newEnd).join(''))}</ins>`;
+    }).join('');
+}
+
+// --- Stored content ---
+
+function drawingStrokeCount(drawing) {
+    if (Array.isArray(drawing)) return drawing.length;
+    return drawing && Array.isArray(drawing.strokes) ? drawing.strokes.length : 0;
+}
+
+function drawingsDiffer(a, b) {
+    if (drawingStrokeCount(a) === 0 && drawingStrokeCount(b) === 0) return false;
+    return JSON.stringify(a) !== JSON.stringify(b);
+}
+
+// --- Snapshots ---
+
+function canStoreRevisions() {
+    return hostSupports('saveRevision') && hostSupports('listRevisions') && hostSupports('loadRevision');
+}
+
+// reason: 'auto' | 'manual' | 'restore'. Resolves with the new id, or null when nothing changed.
+function saveRevision(reason) {
+    clearTimeout(revisionState.timer);
+    revisionState.timer = null;
+    if (!canStoreRevisions()) return Promise.reject(bridgeError('unsupported', 'The host does not keep revisions'));
+
+    const content = getContent();
+    if (content === revisionState.lastContent && reason === 'auto') return Promise.resolve(null);
+    return bridgeRequest('saveRevision', { text: content, reason: reason }).then(result => {
+        revisionState.lastContent = content;
+        revisionState.texts.set(result.id, content);
+        if (isHistoryVisible()) loadRevisions();
+        return result.id;
+    });
+}
+
+// Local edits start the clock; the snapshot waits for the interval
+function scheduleRevision() {
+    if (revisionState.timer || !canStoreRevisions()) return;
+    revisionState.timer = setTimeout(() => {
+        revisionState.timer = null;
+        saveRevision('auto').catch(e => console.warn("History: snapshot failed", e.message));
+    }, REVISION_INTERVAL_MS);
+}
+
+// The host replaced the text (setContent): a note was opened, its content is the new baseline
+function resetRevisionSchedule(content) {
+    clearTimeout(revisionState.timer);
+    revisionState.timer = null;
+    revisionState.lastContent = content;
+    revisionState.texts.clear();
+    showRevision(null);
+    if (isHistoryVisible()) loadRevisions();
+}
+
+// --- Panel ---
+
+function isHistoryVisible() {
+    return !document.getElementById('history-pane').hidden;
+}
+
+function setHistoryVisible(visible) {
+    document.getElementById('history-pane').hidden = !visible;
+    if (visible) loadRevisions();
+    editor.refresh();
+}
+
+function formatRevisionDate(date) {
+    return new Date(date).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function loadRevisions() {
+    const list = document.getElementById('history-list');
+    if (!canStoreRevisions()) {
+        list.innerHTML = '<li class="history-empty">History is not available here</li>';
+        return Promise.resolve([]);
+    }
+    return bridgeRequest('listRevisions', {}).then(result => {
+        revisionState.revisions = Array.isArray(result.revisions) ? result.revisions : [];
+        renderRevisionList();
+        return revisionState.revisions;
+    }).catch(e => {
+        console.warn("History: revisions unavailable", e.message);
+        list.innerHTML = '<li class="history-empty">Revisions could not be loaded</li>';
+        return [];
+    });
+}
+
+function renderRevisionList() {
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+    if (revisionState.revisions.length === 0) {
+        list.innerHTML = '<li class="history-empty">No revisions yet</li>';
+    }
+    revisionState.revisions.forEach(revision => {
+        const item = document.createElement('li');
+        item.className = 'history-item' + (revision.id === revisionState.selected ? ' selected' : '');
+        item.dataset.revision = revision.id;
+        const date = document.createElement('span');
+        date.className = 'history-date';
+        date.textContent = formatRevisionDate(revision.date);
+        const reason = document.createElement('span');
+        reason.className = 'history-reason';
+        reason.textContent = REVISION_REASON_LABELS[revision.reason] || revision.reason || '';
+        item.appendChild(date);
+        item.appendChild(reason);
+        list.appendChild(item);
+    });
+    if (revisionState.selected && !revisionState.revisions.some(revision => revision.id === revisionState.selected)) {
+        showRevision(null);
+    }
+}
+
+function revisionContent(id) {
+    if (revisionState.texts.has(id)) return Promise.resolve(revisionState.texts.get(id));
+    return bridgeRequest('loadRevision', { id: id }).then(result => {
+        revisionState.texts.set(id, result.text);
+        return result.text;
+    });
+}
+
+// id: revision to compare with the current text, or null to close the diff
+function showRevision(id) {
+    revisionState.selected = id;
+    revisionState.diff = null;
+    document.querySelectorAll('#history-list .history-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.revision === id);
+    });
+    document.getElementById('history-compare').hidden = !id;
+    if (!id) return Promise.resolve();
+    return revisionContent(id).then(content => {
+        if (revisionState.selected === id) renderRevisionDiff();
+    }).catch(e => {
+        document.getElementById('history-diff').textContent = 'This revision could not be loaded: ' + e.message;
+    });
+}
+
+function computeRevisionDiff(content) {
+    const revision = splitStoredContent(content); // app.js
+    const current = editor.getValue();
+    const runs = diffSequences(revision.text.split('\n'), current.split('\n'));
+    return {
+        current: current,
+        revision: revision.text,
+        drawing: revision.drawing,
+        drawingChanged: drawingsDiffer(revision.drawing, getDrawingData()),
+        runs: runs,
+        hunks: diffHunks(runs)
+    };
+}
+
+function diffColumnsHtml(oldHtml, newHtml, split) {
+    if (!split) return `<pre class="history-text">${newHtml}</pre>`;
+    return `<div class="history-columns"><pre class="history-text">${oldHtml}</pre><pre class="history-text">${newHtml}</pre></div>`;
+}
+
+function renderRevisionDiff() {
+    const content = revisionState.texts.get(revisionState.selected);
+    if (content === undefined) return;
+    const diff = computeRevisionDiff(content);
+    revisionState.diff = diff;
+
+    const split = revisionState.view === 'split';
+    const oldLines = diff.revision.split('\n');
+    const newLines = diff.current.split('\n');
+    const lastRun = diff.runs.length - 1;
+    let html = '';
+    let hunkIndex = -1;
+
+    diff.runs.forEach((run, i) => {
+        if (run.type === 'equal') {
+            // Context next to changes, the rest folded
+            const lines = newLines.slice(run.newStart, run.newEnd);
+            const head = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+            const tail = i === lastRun ? 0 : DIFF_CONTEXT_LINES;
+            const shown = lines.length > head + tail + 1
+                ? [lines.slice(0, head), lines.slice(lines.length - tail)]
+                : [lines, []];
+            const folded = lines.length - shown[0].length - shown[1].length;
+            const context = text => escapeDiffHtml(text.join('\n'));
+            if (shown[0].length) html += `<div class="history-context">${diffColumnsHtml(context(shown[0]), context(shown[0]), split)}</div>`;
+            if (folded) html += `<div class="history-folded">${folded} unchanged line${folded === 1 ? '' : 's'}</div>`;
+            if (shown[1].length) html += `<div class="history-context">${diffColumnsHtml(context(shown[1]), context(shown[1]), split)}</div>`;
+            return;
+        }
+        const previous = diff.runs[i - 1];
+        if (previous && previous.type !== 'equal') return; // Same hunk
+
+        hunkIndex++;
+        const hunk = diff.hunks[hunkIndex];
+        const oldText = oldLines.slice(hunk.oldStart, hunk.oldEnd).join('\n');
+        const newText = newLines.slice(hunk.newStart, hunk.newEnd).join('\n');
+        const words = wordDiffHtml(oldText, newText);
+        const where = hunk.newEnd - hunk.newStart > 1 ? `Lines ${hunk.newStart + 1}–${hunk.newEnd}`
+            : hunk.newEnd > hunk.newStart ? `Line ${hunk.newEnd}`
+            : hunk.newStart > 0 ? `After line ${hunk.newStart}` : 'At the start';
+        html += `<div class="history-hunk" data-hunk="${hunkIndex}">` +
+            `<label class="history-hunk-header"><input type="checkbox" data-hunk="${hunkIndex}"> ${where}</label>` +
+            (split ? diffColumnsHtml(words.old, words.new, true) : diffColumnsHtml('', inlineWordDiffHtml(oldText, newText), false)) +
+            '</div>';
+    });
+
+    if (diff.drawingChanged) {
+        html += `<div class="history-drawing">The drawing differs: ${drawingStrokeCount(diff.drawing)} strokes in this revision, ` +
+            `${strokes.length} now. It is restored with the whole revision; ` +
+            'undo that in drawing mode, separately from the text.</div>';
+    }
+    if (!diff.hunks.length && !diff.drawingChanged) html = '<div class="history-same">Same as the current note</div>';
+
+    document.getElementById('history-diff').innerHTML = html;
+    document.getElementById('history-summary').textContent = diff.hunks.length
+        ? `${diff.hunks.length} change${diff.hunks.length === 1 ? '' : 's'}` : '';
+    updateRestoreButtons();
+}
+
+function selectedHunks() {
+    return Array.from(document.querySelectorAll('#history-diff input[data-hunk]:checked'))
+        .map(box => revisionState.diff.hunks[parseInt(box.dataset.hunk, 10)]);
+}
+
+function updateRestoreButtons() {
+    const diff = revisionState.diff;
+    document.querySelector('[data-history-action="restoreSelected"]').disabled = !diff || selectedHunks().length === 0;
+    document.querySelector('[data-history-action="restoreAll"]').disabled = !diff || (!diff.hunks.length && !diff.drawingChanged);
+}
+
+function setHistoryView(view) {
+    revisionState.view = view === 'split' ? 'split' : 'inline';
+    document.querySelectorAll('[data-history-view]').forEach(button => {
+        button.classList.toggle('active', button.dataset.historyView === revisionState.view);
+    });
+    if (revisionState.diff) renderRevisionDiff();
+}
+
+// --- Restore ---
+
+// Replaces lines from..to (exclusive) of the editor with `lines`
+function replaceEditorLines(from, to, lines) {
+    const last = editor.lastLine();
+    const text = lines.join('\n');
+    if (to > from && lines.length) {
+        editor.replaceRange(text, { line: from, ch: 0 }, { line: to - 1, ch: editor.getLine(to - 1).length }, 'restore');
+    } else if (to > from) {
+        // Removing lines takes one line break with them
+        if (to <= last) editor.replaceRange('', { line: from, ch: 0 }, { line: to, ch: 0 }, 'restore');
+        else if (from > 0) editor.replaceRange('', { line: from - 1, ch: editor.getLine(from - 1).length }, { line: last, ch: editor.getLine(last).length }, 'restore');
+        else editor.replaceRange('', { line: 0, ch: 0 }, { line: last, ch: editor.getLine(last).length }, 'restore');
+    } else if (lines.length) {
+        if (from <= last) editor.replaceRange(text + '\n', { line: from, ch: 0 }, null, 'restore');
+        else editor.replaceRange('\n' + text, { line: last, ch: editor.getLine(last).length }, null, 'restore');
+    }
+}
+
+// One undoable edit; bottom up so earlier hunks keep their line numbers
+function restoreHunks(hunks) {
+    const diff = revisionState.diff;
+    const oldLines = diff.revision.split('\n');
+    editor.operation(() => {
+        hunks.slice().sort((a, b) => b.newStart - a.newStart).forEach(hunk => {
+            replaceEditorLines(hunk.newStart, hunk.newEnd, oldLines.slice(hunk.oldStart, hunk.oldEnd));
+        });
+    });
+}
+
+// whole: the entire revision with its drawing; otherwise the ticked hunks
+function restoreRevision(whole) {
+    const diff = revisionState.diff;
+    if (!diff) return Promise.resolve(false);
+    if (diff.current !== editor.getValue()) {
+        renderRevisionDiff(); // Edited since the diff was drawn; let the user look again
+        return Promise.resolve(false);
+    }
+    const hunks = whole ? diff.hunks : selectedHunks();
+    if (!hunks.length && !(whole && diff.drawingChanged)) return Promise.resolve(false);
+
+    // Keep what is there now, in case the restore was a mistake
+    const saved = saveRevision('restore').catch(e => console.warn("History: snapshot failed", e.message));
+    return saved.then(() => {
+        if (diff.current !== editor.getValue()) return false;
+        restoreHunks(hunks);
+        if (whole && diff.drawingChanged) commitStrokes(parseDrawingData(diff.drawing), 'Restore revision'); // canvas.js
+        editor.focus();
+        return true;
+    });
+}
+
+// --- Host ---
+
+function historyAction(action) {
+    switch (action) {
+        case 'show': setHistoryVisible(true); return true;
+        case 'hide': setHistoryVisible(false); return true;
+        case 'toggle': setHistoryVisible(!isHistoryVisible()); return true;
+        case 'snapshot': return saveRevision('manual').then(() => true);
+        default:
+            console.error("Unknown history action:", action);
+            return false;
+    }
+}
+
+function handleHistoryClick(e) {
+    const item = e.target.closest('.history-item');
+    if (item) {
+        showRevision(item.dataset.revision === revisionState.selected ? null : item.dataset.revision);
+        return;
+    }
+    const view = e.target.closest('[data-history-view]');
+    if (view) {
+        setHistoryView(view.dataset.historyView);
+        return;
+    }
+    const button = e.target.closest('[data-history-action]');
+    if (!button) return;
+    switch (button.dataset.historyAction) {
+        case 'snapshot':
+            saveRevision('manual').catch(err => console.warn("History: snapshot failed", err.message));
+            break;
+        case 'close': setHistoryVisible(false); break;
+        case 'restoreSelected': restoreRevision(false); break;
+        case 'restoreAll': restoreRevision(true); break;
+    }
+}
+
+function initHistory() {
+    const pane = document.getElementById('history-pane');
+    pane.addEventListener('click', handleHistoryClick);
+    pane.addEventListener('change', e => { if (e.target.matches('input[data-hunk]')) updateRestoreButtons(); });
+    setHistoryView(revisionState.view);
+
+    // Keep the diff in step with typing while it is open
+    editor.on('changes', () => {
+        if (!revisionState.diff || !isHistoryVisible()) return;
+        clearTimeout(revisionState.diffTimer);
+        revisionState.diffTimer = setTimeout(renderRevisionDiff, REVISION_DIFF_DEBOUNCE_MS);
+    });
+
+    onBridgeMessage('historyAction', payload => Promise.resolve(historyAction(payload.action)).then(handled => ({ handled: handled })));
+}
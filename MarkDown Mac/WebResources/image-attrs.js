@@ -0,0 +1,136 @@
+// Image Attributes
+// Size and alignment of an image are stored in the markdown source as an
+// attribute block right after the image:
+//
+//   ![Diagram](images/diagram.png){width=320 align=center}
+//
+// Supported keys: width, height (pixels, or a percentage) and
+// align (left | center | right). Unknown keys are kept untouched so text
+// written by other tools survives a round trip.
+
+const IMAGE_ALIGNMENTS = ['left', 'center', 'right'];
+
+// ![alt](src){attrs} - the attribute block is optional
+function imageMarkdownRegex() {
+    return /!\[(.*?)\]\((.*?)\)(\{[^{}\n]*\})?/g;
+}
+
+// "{width=320 align=center}" -> { width: "320", align: "center" }
+function parseImageAttrs(block) {
+    const attrs = {};
+    if (!block) return attrs;
+    const body = block.replace(/^\{|\}$/g, '');
+    const regex = /([\w-]+)=("[^"]*"|[^\s"]+)/g;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+}
+
+function formatImageAttrs(attrs) {
+    const parts = Object.keys(attrs)
+        .filter(key => attrs[key] !== undefined && attrs[key] !== null && attrs[key] !== '')
+        .map(key => {
+            const value = String(attrs[key]);
+            return key + '=' + (/\s/.test(value) ? `"${value}"` : value);
+        });
+    return parts.length ? '{' + parts.join(' ') + '}' : '';
+}
+
+// "320" -> "320px", "50%" -> "50%"; anything else is ignored
+function imageSizeToCss(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) return value + 'px';
+    if (/^\d+(\.\d+)?%$/.test(value)) return value;
+    return '';
+}
+
+// markdown-it plugin: moves a {…} block that follows an image onto the <img>
+function markdownitImageAttrs(md) {
+    md.core.ruler.after('inline', 'image_attrs', function (state) {
+        state.tokens.forEach(blockToken => {
+            if (blockToken.type !== 'inline' || !blockToken.children) return;
+            const children = blockToken.children;
+
+            children.forEach((token, i) => {
+                const next = children[i + 1];
+                if (token.type !== 'image' || !next || next.type !== 'text') return;
+                const match = next.content.match(/^\{[^{}\n]*\}/);
+                if (!match) return;
+
+                const attrs = parseImageAttrs(match[0]);
+                const width = imageSizeToCss(attrs.width || '');
+                const height = imageSizeToCss(attrs.height || '');
+                const style = [];
+                if (width) style.push('width:' + width);
+                if (height) style.push('height:' + height);
+                if (style.length) token.attrSet('style', style.join(';'));
+                if (IMAGE_ALIGNMENTS.indexOf(attrs.align) !== -1) {
+                    token.attrJoin('class', 'align-' + attrs.align);
+                }
+                next.content = next.content.slice(match[0].length);
+            });
+        });
+    });
+}
+
+// Source range and rewritten markdown for the image covered by `mark` (a
+// CodeMirror TextMarker from renderInlineImages). `changes` are merged into
+// the existing attributes; a null value removes the key.
+function rewriteImageMarkdown(mark, changes) {
+    const range = mark.find();
+    if (!range) return null;
+    const text = editor.getRange(range.from, range.to);
+    const match = imageMarkdownRegex().exec(text);
+    if (!match || match.index !== 0) return null;
+
+    const attrs = parseImageAttrs(match[3]);
+    Object.keys(changes).forEach(key => {
+        if (changes[key] === null) delete attrs[key];
+        else attrs[key] = changes[key];
+    });
+    return {
+        from: range.from,
+        to: range.to,
+        original: text,
+        text: `![${match[1]}](${match[2]})` + formatImageAttrs(attrs)
+    };
+}
+
+function updateImageAttrs(mark, changes) {
+    const rewrite = rewriteImageMarkdown(mark, changes);
+    if (rewrite && rewrite.text !== rewrite.original) {
+        editor.replaceRange(rewrite.text, rewrite.from, rewrite.to, '+imageattrs');
+    }
+}
+
+// Moves the image onto its own line above `targetLine`, applying `changes`.
+// One editor operation, so it is a single undo step.
+function moveImageToLine(mark, targetLine, changes) {
+    const rewrite = rewriteImageMarkdown(mark, changes);
+    if (!rewrite) return;
+    const sourceLine = rewrite.from.line;
+    if (targetLine === sourceLine || targetLine === sourceLine + 1 && isImageOnlyLine(rewrite)) {
+        updateImageAttrs(mark, changes); // Dropped where it already is
+        return;
+    }
+
+    editor.operation(() => {
+        const lineText = editor.getLine(sourceLine);
+        const rest = lineText.slice(0, rewrite.from.ch) + lineText.slice(rewrite.to.ch);
+
+        if (rest.trim() === '' && sourceLine < editor.lineCount() - 1) {
+            // The image was alone on its line: take the line with it
+            editor.replaceRange('', { line: sourceLine, ch: 0 }, { line: sourceLine + 1, ch: 0 }, '+imagemove');
+            if (targetLine > sourceLine) targetLine--;
+        } else {
+            editor.replaceRange('', rewrite.from, rewrite.to, '+imagemove');
+        }
+        editor.replaceRange(rewrite.text + '\n', { line: targetLine, ch: 0 }, null, '+imagemove');
+    });
+}
+
+function isImageOnlyLine(rewrite) {
+    const lineText = editor.getLine(rewrite.from.line);
+    return (lineText.slice(0, rewrite.from.ch) + lineText.slice(rewrite.to.ch)).trim() === '';
+}
@@ -0,0 +1,30 @@
+// Math (KaTeX)
+// Engine handed to markdown-it-texmath. KaTeX's own error output only puts the
+// message in a tooltip; this wrapper shows the source and the message inline
+// so a broken formula is obvious and the rest of the preview still renders.
+
+const mathEngine = {
+    renderToString: function (tex, options) {
+        if (!window.katex) {
+            return `<code class="math-error">${md.utils.escapeHtml(tex)}</code>`;
+        }
+        try {
+            return katex.renderToString(tex, Object.assign({}, options, { throwOnError: true }));
+        } catch (e) {
+            const message = (e && e.message || String(e)).replace(/^KaTeX parse error: /, '');
+            return `<span class="math-error" title="${md.utils.escapeHtml(message)}">` +
+                `<code>${md.utils.escapeHtml(tex)}</code>` +
+                `<span class="math-error-message">${md.utils.escapeHtml(message)}</span>` +
+                `</span>`;
+        }
+    }
+};
+
+const mathOptions = {
+    engine: mathEngine,
+    delimiters: 'dollars',
+    katexOptions: {
+        output: 'html', // No MathML copy, halves the DOM size
+        strict: 'ignore'
+    }
+};
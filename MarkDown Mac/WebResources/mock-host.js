@@ -0,0 +1,140 @@
+// Mock Host
+// Stand-in for the native app so index.html runs in a plain browser or a
+// headless test. It speaks the bridge protocol (bridge.js) and keeps the
+// note in localStorage. Installed only when no native bridge exists; a test
+// can replace it with its own host through installBridgeHost().
+//
+// Saved images become blob: URLs and only last for the session.
+
+const MOCK_NOTE_KEY = 'markdownMac.mockHost.note';
+const MOCK_REVISIONS_KEY = 'markdownMac.mockHost.revisions';
+const MOCK_REVISION_LIMIT = 50;
+
+const MOCK_WELCOME = '# Welcome\n\nThis page is running without the app. ' +
+    'Edits are kept in this browser\'s local storage.\n';
+
+function createMockHost(options) {
+    options = options || {};
+    const memory = {}; // Used when localStorage is unavailable (file://, sandbox)
+    const storage = {
+        get(key) {
+            try {
+                return window.localStorage.getItem(key);
+            } catch (e) { return key in memory ? memory[key] : null; }
+        },
+        set(key, value) {
+            try {
+                window.localStorage.setItem(key, value);
+            } catch (e) { memory[key] = value; }
+        }
+    };
+    let requestCounter = 0;
+    const pending = new Map();
+
+    // Replies are asynchronous, like WKScriptMessageHandler
+    function deliver(envelope) {
+        setTimeout(() => window.bridgeReceive(Object.assign({ bridge: BRIDGE_VERSION }, envelope)), 0);
+    }
+
+    function saveImage(payload) {
+        const bytes = atob(payload.base64);
+        const buffer = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+        return { path: URL.createObjectURL(new Blob([buffer])) };
+    }
+
+    // Newest first: [{ id, date, reason, text }]
+    function storedRevisions() {
+        try {
+            return JSON.parse(storage.get(MOCK_REVISIONS_KEY)) || [];
+        } catch (e) { return []; }
+    }
+
+    function saveRevision(payload) {
+        const revisions = storedRevisions();
+        const id = 'rev-' + Date.now().toString(36) + '-' + revisions.length;
+        revisions.unshift({ id: id, date: new Date().toISOString(), reason: payload.reason, text: payload.text });
+        storage.set(MOCK_REVISIONS_KEY, JSON.stringify(revisions.slice(0, MOCK_REVISION_LIMIT)));
+        return { id: id };
+    }
+
+    function loadRevision(payload) {
+        const revision = storedRevisions().find(r => r.id === payload.id);
+        if (!revision) throw bridgeError('not-found', `No revision "${payload.id}"`);
+        return { text: revision.text };
+    }
+
+    const handlers = {
+        hello: () => {
+            // Open the stored note once the page is listening
+            setTimeout(() => host.send('setContent', { text: storage.get(MOCK_NOTE_KEY) || options.initialText || MOCK_WELCOME }), 0);
+            return { version: BRIDGE_VERSION, capabilities: Object.keys(handlers) };
+        },
+        textDidChange: payload => { storage.set(MOCK_NOTE_KEY, payload.text); },
+        saveImage: saveImage,
+        exportPDF: () => { window.print(); },
+        orphanedStrokes: payload => { console.info("Mock host: orphaned strokes", payload.count); },
+        taskProgress: payload => { document.title = payload.total ? `Markdown Editor (${payload.done}/${payload.total})` : 'Markdown Editor'; },
+        noteMetadata: payload => { console.info("Mock host: tags", payload.tags.join(', ')); },
+        listNotes: () => ({ notes: options.notes || [] }),
+        listThemes: () => ({ themes: options.themes || [] }),
+        saveRevision: saveRevision,
+        listRevisions: () => ({ revisions: storedRevisions().map(r => ({ id: r.id, date: r.date, reason: r.reason })) }),
+        loadRevision: loadRevision,
+        openNote: payload => { console.info("Mock host: open note", payload.title, payload.heading || ''); }
+    };
+
+    const host = {
+        messages: [], // Everything the page sent, handy in tests
+
+        // Called by bridge.js
+        postMessage(envelope) {
+            envelope = JSON.parse(JSON.stringify(envelope)); // Same copy semantics as WebKit
+            host.messages.push(envelope);
+
+            if (envelope.kind === 'response') {
+                const request = pending.get(envelope.id);
+                if (!request) return;
+                pending.delete(envelope.id);
+                if (envelope.error) request.reject(envelope.error);
+                else request.resolve(envelope.payload);
+                return;
+            }
+
+            const handler = handlers[envelope.name];
+            let reply;
+            try {
+                if (!handler) throw bridgeError('unsupported', `Mock host does not handle "${envelope.name}"`);
+                reply = { kind: 'response', id: envelope.id, payload: handler(envelope.payload) || {} };
+            } catch (e) {
+                reply = { kind: 'response', id: envelope.id, error: { code: e.code || 'failed', message: e.message } };
+            }
+            if (envelope.kind === 'request') deliver(reply);
+        },
+
+        // Drive the page like the app would: host.send('setTheme', { theme: 'dark' })
+        send(name, payload) {
+            deliver({ kind: 'event', name: name, payload: payload || {} });
+        },
+
+        request(name, payload) {
+            requestCounter++;
+            const id = 'host-' + requestCounter;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve: resolve, reject: reject });
+                deliver({ kind: 'request', name: name, id: id, payload: payload || {} });
+            });
+        },
+
+        // Override or add host behaviour: host.handle('saveImage', payload => { throw ... })
+        handle(name, handler) {
+            handlers[name] = handler;
+        }
+    };
+    return host;
+}
+
+if (!defaultBridgeTransport()) {
+    window.mockHost = createMockHost();
+    installBridgeHost(window.mockHost);
+}
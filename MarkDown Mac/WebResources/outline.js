@@ -0,0 +1,332 @@
+// Outline
+// Headings of the note, taken from markdown-it's heading tokens:
+// - preview headings get stable slug ids (GitHub style: "My Title" -> my-title,
+//   repeats become my-title-1, my-title-2)
+// - a `[[toc]]` paragraph renders as a table of contents
+// - the outline panel (#outline-pane) lists the headings, marks the section
+//   holding the cursor and jumps editor and preview on click
+// - sections fold in the editor from the gutter or with Cmd-Alt-[ / Cmd-Alt-]
+//
+// Headings are { level, text, slug, line }, line being the source line.
+
+const OUTLINE_DEBOUNCE_MS = 300;
+const OUTLINE_FOLD_GUTTER = 'outline-fold-gutter';
+const TOC_MARKER_REGEX = /^\[\[toc\]\]$/i;
+
+let outlineHeadings = [];
+let outlineTimer = null;
+
+// --- Slugs ---
+
+function headingSlug(text) {
+    const slug = text.trim().toLowerCase()
+        // ASCII punctuation except - and _, and Unicode general punctuation
+        .replace(/[!-,./:-@\[-^`{-~\u2000-\u206F\u2E00-\u2E7F]/g, '')
+        .replace(/\s/g, '-');
+    return slug || 'section';
+}
+
+// Ids used by the app itself, so a "# Preview" heading cannot shadow #preview
+function reservedHeadingIds() {
+    const ids = new Map();
+    const preview = document.getElementById('preview');
+    document.querySelectorAll('[id]').forEach(el => {
+        if (el === preview || !preview.contains(el)) ids.set(el.id, 0);
+    });
+    return ids;
+}
+
+function uniqueSlug(base, used) {
+    let slug = base;
+    let count = used.has(base) ? used.get(base) : -1;
+    while (used.has(slug)) {
+        count++;
+        slug = base + '-' + count;
+    }
+    used.set(base, count);
+    used.set(slug, 0);
+    return slug;
+}
+
+// Plain text of an inline token (markup stripped)
+function inlineText(inline) {
+    return (inline.children || []).map(child => {
+        if (child.type === 'text' || child.type === 'code_inline' || child.type === 'emoji') return child.content;
+        if (child.type === 'image') return inlineText(child);
+        return '';
+    }).join('');
+}
+
+// --- markdown-it plugin ---
+
+// Heading ids, env.headings and [[toc]]
+function markdownitHeadingAnchors(md) {
+    md.core.ruler.push('heading_anchors', function (state) {
+        const tokens = state.tokens;
+        const used = reservedHeadingIds();
+        const headings = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type === 'heading_open') {
+                const text = inlineText(tokens[i + 1]).trim();
+                const slug = uniqueSlug(headingSlug(text), used);
+                token.attrSet('id', slug);
+                headings.push({ level: parseInt(token.tag.slice(1), 10), text: text, slug: slug, line: token.map ? token.map[0] : 0 });
+            } else if (token.type === 'paragraph_open' && token.level === 0 &&
+                tokens[i + 2] && tokens[i + 2].type === 'paragraph_close' &&
+                TOC_MARKER_REGEX.test(tokens[i + 1].content.trim())) {
+                const toc = new state.Token('toc', 'nav', 0);
+                toc.block = true;
+                toc.map = token.map;
+                tokens.splice(i, 3, toc);
+            }
+        }
+        state.env.headings = headings;
+    });
+
+    md.renderer.rules.toc = function (tokens, idx, options, env, self) {
+        return '<nav class="table-of-contents"' + self.renderAttrs(tokens[idx]) + '>' +
+            renderTocList(env.headings || [], md.utils.escapeHtml) + '</nav>\n';
+    };
+}
+
+// Nested lists following the heading levels
+function renderTocList(headings, escapeHtml) {
+    if (headings.length === 0) return '';
+    const top = Math.min.apply(null, headings.map(h => h.level));
+    let depth = 0;
+    let html = '';
+    headings.forEach(heading => {
+        const level = heading.level - top + 1;
+        if (level > depth) {
+            while (depth < level) { html += '<ul><li>'; depth++; }
+        } else {
+            while (depth > level) { html += '</li></ul>'; depth--; }
+            html += '</li><li>';
+        }
+        html += `<a href="#${heading.slug}">${escapeHtml(heading.text)}</a>`;
+    });
+    while (depth > 0) { html += '</li></ul>'; depth--; }
+    return html;
+}
+
+function parseHeadings(markdown) {
+    const env = {};
+    md.parse(markdown, env);
+    return env.headings || [];
+}
+
+// --- Panel ---
+
+function renderOutlinePanel() {
+    const list = document.getElementById('outline-list');
+    list.innerHTML = '';
+    if (outlineHeadings.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'outline-empty';
+        empty.textContent = 'No headings';
+        list.appendChild(empty);
+        return;
+    }
+    const top = Math.min.apply(null, outlineHeadings.map(h => h.level));
+    outlineHeadings.forEach((heading, index) => {
+        const item = document.createElement('li');
+        item.className = 'outline-item';
+        item.style.paddingLeft = (8 + (heading.level - top) * 12) + 'px';
+        item.textContent = heading.text || 'Untitled';
+        item.title = heading.text;
+        item.dataset.index = index;
+        list.appendChild(item);
+    });
+    highlightCurrentSection();
+}
+
+// Index of the heading whose section holds `line`, or -1
+function sectionIndexAt(line) {
+    let index = -1;
+    outlineHeadings.forEach((heading, i) => { if (heading.line <= line) index = i; });
+    return index;
+}
+
+function highlightCurrentSection() {
+    const index = sectionIndexAt(editor.getCursor().line);
+    document.querySelectorAll('#outline-list .outline-item').forEach(item => {
+        const active = parseInt(item.dataset.index, 10) === index;
+        item.classList.toggle('active', active);
+        if (active && item.scrollIntoView && !document.body.classList.contains('outline-collapsed')) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+function jumpToHeading(heading) {
+    editor.setCursor({ line: heading.line, ch: 0 });
+    editor.scrollTo(null, editor.heightAtLine(heading.line, 'local'));
+
+    const pane = document.getElementById('preview-pane');
+    const target = document.getElementById(heading.slug);
+    if (isPreviewVisible() && target && pane.contains(target)) {
+        pane.scrollTop = previewOffsetTop(pane, target);
+    }
+    if (document.getElementById('editor-pane').style.display !== 'none') editor.focus();
+}
+
+function updateOutline() {
+    clearTimeout(outlineTimer);
+    outlineTimer = null;
+    const headings = parseHeadings(editor.getValue());
+    if (JSON.stringify(headings) !== JSON.stringify(outlineHeadings)) {
+        outlineHeadings = headings;
+        renderOutlinePanel();
+    }
+    updateFoldGutter();
+}
+
+function scheduleOutline() {
+    clearTimeout(outlineTimer);
+    outlineTimer = setTimeout(updateOutline, OUTLINE_DEBOUNCE_MS);
+}
+
+function setOutlineVisible(visible) {
+    document.body.classList.toggle('outline-collapsed', !visible);
+    const toggle = document.getElementById('outline-toggle');
+    toggle.title = visible ? 'Hide outline' : 'Show outline';
+    editor.refresh(); // The editor column changed width
+    if (visible) highlightCurrentSection();
+}
+
+// In-page links (#slug), e.g. from [[toc]], scroll the preview and move the cursor
+function handlePreviewAnchorClick(e) {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+    const slug = decodeURIComponent(link.getAttribute('href').slice(1));
+    const heading = outlineHeadings.find(h => h.slug === slug);
+    if (!heading) return; // Footnotes and the like keep their default behaviour
+    e.preventDefault();
+    jumpToHeading(heading);
+}
+
+// --- Folding ---
+
+// Last line of the section under headings[index], blank lines trimmed
+function sectionEndLine(index) {
+    const heading = outlineHeadings[index];
+    let end = editor.lastLine();
+    for (let i = index + 1; i < outlineHeadings.length; i++) {
+        if (outlineHeadings[i].level <= heading.level) {
+            end = outlineHeadings[i].line - 1;
+            break;
+        }
+    }
+    while (end > heading.line && editor.getLine(end).trim() === '') end--;
+    return end;
+}
+
+function sectionFoldAt(line) {
+    const text = editor.getLine(line);
+    return editor.findMarks({ line: line, ch: text.length }, { line: line + 1, ch: 0 })
+        .find(mark => mark.outlineFold) || null;
+}
+
+function foldSection(index) {
+    const heading = outlineHeadings[index];
+    const end = sectionEndLine(index);
+    if (end <= heading.line || sectionFoldAt(heading.line)) return false;
+
+    const widget = document.createElement('span');
+    widget.className = 'outline-fold-widget';
+    widget.textContent = '…';
+    widget.title = 'Unfold section';
+    const mark = editor.markText(
+        { line: heading.line, ch: editor.getLine(heading.line).length },
+        { line: end, ch: editor.getLine(end).length },
+        { replacedWith: widget, clearOnEnter: true, outlineFold: true }
+    );
+    widget.addEventListener('mousedown', e => {
+        e.preventDefault();
+        mark.clear();
+    });
+    mark.on('clear', () => setTimeout(updateFoldGutter, 0));
+    updateFoldGutter();
+    return true;
+}
+
+function unfoldSection(index) {
+    const mark = sectionFoldAt(outlineHeadings[index].line);
+    if (!mark) return false;
+    mark.clear();
+    return true;
+}
+
+function toggleSectionFold(index) {
+    return unfoldSection(index) || foldSection(index);
+}
+
+function updateFoldGutter() {
+    editor.operation(() => {
+        editor.clearGutter(OUTLINE_FOLD_GUTTER);
+        outlineHeadings.forEach((heading, index) => {
+            if (heading.line > editor.lastLine() || sectionEndLine(index) <= heading.line) return;
+            const folded = !!sectionFoldAt(heading.line);
+            const marker = document.createElement('div');
+            marker.className = 'outline-fold-marker' + (folded ? ' folded' : '');
+            marker.textContent = folded ? '▸' : '▾';
+            marker.title = folded ? 'Unfold section' : 'Fold section';
+            editor.setGutterMarker(heading.line, OUTLINE_FOLD_GUTTER, marker);
+        });
+    });
+}
+
+function outlineAction(action) {
+    const index = sectionIndexAt(editor.getCursor().line);
+    switch (action) {
+        case 'show': setOutlineVisible(true); return true;
+        case 'hide': setOutlineVisible(false); return true;
+        case 'toggle': setOutlineVisible(document.body.classList.contains('outline-collapsed')); return true;
+        case 'foldSection': return index !== -1 && foldSection(index);
+        case 'unfoldSection': return index !== -1 && unfoldSection(index);
+        case 'foldAll':
+            // Innermost first, so every level ends up folded
+            editor.operation(() => {
+                for (let i = outlineHeadings.length - 1; i >= 0; i--) foldSection(i);
+            });
+            return true;
+        case 'unfoldAll':
+            editor.operation(() => {
+                editor.getAllMarks().forEach(mark => { if (mark.outlineFold) mark.clear(); });
+            });
+            return true;
+        default:
+            console.error("Unknown outline action:", action);
+            return false;
+    }
+}
+
+function initOutline() {
+    editor.setOption('gutters', editor.getOption('gutters').concat(OUTLINE_FOLD_GUTTER));
+    editor.on('gutterClick', (cm, line, gutter) => {
+        if (gutter !== OUTLINE_FOLD_GUTTER) return;
+        const index = outlineHeadings.findIndex(h => h.line === line);
+        if (index !== -1) toggleSectionFold(index);
+    });
+
+    const mod = /Mac/.test(navigator.platform) ? 'Cmd' : 'Ctrl';
+    const keyMap = {};
+    keyMap[mod + '-Alt-['] = () => { outlineAction('foldSection'); };
+    keyMap[mod + '-Alt-]'] = () => { outlineAction('unfoldSection'); };
+    editor.addKeyMap(CodeMirror.normalizeKeyMap(keyMap));
+
+    editor.on('change', scheduleOutline);
+    editor.on('cursorActivity', highlightCurrentSection);
+
+    document.getElementById('outline-list').addEventListener('click', e => {
+        const item = e.target.closest('.outline-item');
+        if (item) jumpToHeading(outlineHeadings[parseInt(item.dataset.index, 10)]);
+    });
+    document.getElementById('outline-toggle').addEventListener('click', () => outlineAction('toggle'));
+    document.getElementById('preview').addEventListener('click', handlePreviewAnchorClick);
+
+    onBridgeMessage('outlineAction', payload => ({ handled: outlineAction(payload.action) }));
+    updateOutline();
+}
@@ -0,0 +1,393 @@
+// Rich Paste
+// Paste handling beyond image files (app.js) and delimited text (tables.js):
+//
+//   - HTML on the clipboard (web pages, Confluence, mail, Word, Google Docs)
+//     is converted to Markdown: headings, emphasis, links, lists, task lists,
+//     quotes, code blocks with their language, tables and images
+//   - pasted images that are base64 or remote go through the upload flow
+//     (uploads.js) like a dropped file; others keep their link
+//   - a URL pasted over a selection turns it into [selection](url)
+//   - "paste as plain text" (Shift-Cmd-V / Shift-Alt-Cmd-V, or
+//     pasteAsPlainText from the host menu) inserts the text as it is
+//
+// Inside a fenced code block only plain text is pasted.
+
+const PASTE_URL_REGEX = /^(https?:\/\/|mailto:)\S+$/i;
+const PASTE_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'summary', 'table', 'ul'
+]);
+// Markup worth converting; anything less pastes as the plain text flavour
+const PASTE_RICH_SELECTOR = 'a[href], h1, h2, h3, h4, h5, h6, ul, ol, table, pre, code, b, strong, em, i, img, blockquote, s, del';
+const PASTE_SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'meta', 'link', 'noscript', 'template', 'button', 'select', 'textarea']);
+
+let plainPasteRequested = false; // Set by the shortcut for the paste event that follows
+
+// --- HTML to Markdown ---
+
+function escapeMarkdownText(text) {
+    return text
+        .replace(/([\\`*\[\]|])/g, '\\$1')
+        .replace(/<(?=[a-z\/!])/gi, '\\<')
+        .replace(/(^|\W)_|_(?=\W|$)/g, match => match.replace('_', '\\_')); // Not inside snake_case
+}
+
+// Block markers a plain line could be mistaken for
+function escapeLineStart(line) {
+    return line
+        .replace(/^(\s*)([#>+\-])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, '$1$2\\$3');
+}
+
+function containsBlocks(el) {
+    return Array.from(el.querySelectorAll('*')).some(child => PASTE_BLOCK_TAGS.has(child.localName));
+}
+
+function codeSpan(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const pad = /^`|`$/.test(text) ? ' ' : '';
+    return fence + pad + text + pad + fence;
+}
+
+// From class="language-js" (most sites), "highlight-source-js" on the
+// wrapper (GitHub), data-language, or Confluence's "brush: js"
+function codeLanguage(el) {
+    const nodes = [el, el.parentElement].concat(Array.from(el.querySelectorAll('code'))).filter(Boolean);
+    for (const node of nodes) {
+        const match = (node.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#-]+)/i);
+        if (match) return match[1].toLowerCase();
+        const data = node.getAttribute('data-language') || node.getAttribute('data-lang');
+        if (data) return data.toLowerCase();
+        const brush = (node.getAttribute('data-syntaxhighlighter-params') || '').match(/brush:\s*([\w+#-]+)/);
+        if (brush) return brush[1].toLowerCase();
+    }
+    return '';
+}
+
+function isBoldStyle(el) {
+    const weight = el.style && el.style.fontWeight;
+    return weight === 'bold' || parseInt(weight, 10) >= 600;
+}
+
+function isItalicStyle(el) {
+    return !!(el.style && el.style.fontStyle === 'italic');
+}
+
+function isMonospaceStyle(el) {
+    return !!(el.style && /mono|courier|consolas|menlo/i.test(el.style.fontFamily || ''));
+}
+
+// options: { image(alt, src) -> Markdown for the image }
+function createHtmlConverter(options) {
+    function wrap(marker, text) {
+        const inner = text.trim();
+        if (!inner) return text;
+        const lead = text.match(/^\s*/)[0];
+        const trail = text.match(/\s*$/)[0];
+        return lead + marker + inner + marker + trail;
+    }
+
+    function inline(node) {
+        return Array.from(node.childNodes).map(inlineNode).join('');
+    }
+
+    function inlineNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return escapeMarkdownText(node.textContent.replace(/\s+/g, ' '));
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        const tag = node.localName;
+        if (PASTE_SKIPPED_TAGS.has(tag)) return '';
+
+        switch (tag) {
+            case 'br': return '\\\n';
+            case 'strong':
+            case 'b':
+                // Google Docs wraps everything in <b style="font-weight:normal">
+                return node.style.fontWeight === 'normal' ? inline(node) : wrap('**', inline(node));
+            case 'em':
+            case 'i':
+                return wrap('*', inline(node));
+            case 's':
+            case 'del':
+            case 'strike':
+                return wrap('~~', inline(node));
+            case 'sub': return wrap('~', inline(node));
+            case 'sup': return wrap('^', inline(node));
+            case 'code':
+            case 'kbd':
+            case 'samp':
+            case 'tt':
+                return codeSpan(node.textContent.replace(/\s+/g, ' '));
+            case 'a': {
+                const text = inline(node).trim();
+                const href = node.getAttribute('href') || '';
+                if (!href || /^javascript:/i.test(href.trim())) return text;
+                if (href.startsWith('#') && !text) return '';
+                const target = /[\s()]/.test(href) ? `<${href}>` : href;
+                const title = node.getAttribute('title');
+                if (text === href || text === escapeMarkdownText(href)) return `<${href}>`;
+                return `[${text || href}](${target}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+            }
+            case 'img': {
+                const src = node.getAttribute('src') || '';
+                if (!src) return '';
+                const alt = (node.getAttribute('alt') || '').replace(/[\[\]\n]/g, ' ').trim();
+                return options.image(alt, src);
+            }
+            case 'input':
+                return '';
+            default:
+                if (PASTE_BLOCK_TAGS.has(tag)) return ' ' + inline(node) + ' ';
+                if (isMonospaceStyle(node)) return codeSpan(node.textContent);
+                if (isBoldStyle(node) && isItalicStyle(node)) return wrap('***', inline(node));
+                if (isBoldStyle(node)) return wrap('**', inline(node));
+                if (isItalicStyle(node)) return wrap('*', inline(node));
+                return inline(node);
+        }
+    }
+
+    function tidyInline(text) {
+        return text.replace(/[ \t]+/g, ' ').replace(/ ?\\\n ?/g, '\\\n').trim().replace(/\\$/, '');
+    }
+
+    function paragraph(text) {
+        const tidy = tidyInline(text);
+        return tidy ? tidy.split('\n').map(escapeLineStart).join('\n') : '';
+    }
+
+    function list(node, depth) {
+        const ordered = node.localName === 'ol';
+        let number = parseInt(node.getAttribute('start'), 10) || 1;
+        const items = [];
+        Array.from(node.children).forEach(item => {
+            if (item.localName !== 'li') {
+                if (item.localName === 'ul' || item.localName === 'ol') items.push(indent(list(item, depth + 1), '    '));
+                return;
+            }
+            let marker = ordered ? `${number++}.` : '-';
+            const box = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+            if (box) marker += box.checked || box.hasAttribute('checked') ? ' [x]' : ' [ ]';
+            // Tight unless the page wrapped items in paragraphs
+            const body = blocks(item, depth + 1, item.querySelector(':scope > p') ? '\n\n' : '\n').trim();
+            const pad = ' '.repeat(marker.replace(/ \[.\]$/, '').length + 1);
+            const lines = body.split('\n');
+            items.push(marker + ' ' + lines[0] + (lines.length > 1 ? '\n' + indent(lines.slice(1).join('\n'), pad) : ''));
+        });
+        return items.join('\n');
+    }
+
+    function indent(text, pad) {
+        return text.split('\n').map(line => line ? pad + line : line).join('\n');
+    }
+
+    function table(node) {
+        const rows = [];
+        const aligns = [];
+        node.querySelectorAll('tr').forEach(tr => {
+            if (tr.closest('table') !== node) return; // Nested table
+            const cells = Array.from(tr.children).filter(cell => cell.localName === 'td' || cell.localName === 'th');
+            if (!rows.length) {
+                cells.forEach(cell => {
+                    const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+                    aligns.push(['left', 'center', 'right'].indexOf(align) !== -1 ? align : null);
+                });
+            }
+            rows.push(cells.map(cell => tidyInline(inline(cell)).replace(/\\\n/g, '<br>').replace(/\n/g, ' ')));
+        });
+        if (!rows.length) return '';
+        const width = Math.max.apply(null, rows.map(row => row.length));
+        rows.forEach(row => { while (row.length < width) row.push(''); });
+        while (aligns.length < width) aligns.push(null);
+        return formatTable({ aligns: aligns, rows: rows }).lines.join('\n'); // tables.js
+    }
+
+    function codeBlock(node) {
+        const text = node.textContent.replace(/\n$/, '');
+        const longest = Math.max(2, ...(text.match(/^`{3,}/gm) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        return fence + codeLanguage(node) + '\n' + text + '\n' + fence;
+    }
+
+    // Block-level Markdown of an element's children, blocks separated by a blank line
+    function blocks(parent, depth, separator) {
+        const out = [];
+        let run = '';
+        const flush = () => {
+            const text = paragraph(run);
+            if (text) out.push(text);
+            run = '';
+        };
+
+        Array.from(parent.childNodes).forEach(node => {
+            const tag = node.nodeType === Node.ELEMENT_NODE ? node.localName : null;
+            if (!tag || (!PASTE_BLOCK_TAGS.has(tag) && !containsBlocks(node))) {
+                run += inlineNode(node);
+                return;
+            }
+            flush();
+            let block = '';
+            if (/^h[1-6]$/.test(tag)) {
+                const text = tidyInline(inline(node)).replace(/\\\n/g, ' ');
+                if (text) block = '#'.repeat(parseInt(tag[1], 10)) + ' ' + text;
+            } else if (tag === 'ul' || tag === 'ol') {
+                block = list(node, depth);
+            } else if (tag === 'blockquote') {
+                block = blocks(node, depth).split('\n').map(line => line ? '> ' + line : '>').join('\n');
+            } else if (tag === 'pre') {
+                block = codeBlock(node);
+            } else if (tag === 'table') {
+                block = table(node);
+            } else if (tag === 'hr') {
+                block = '---';
+            } else {
+                block = blocks(node, depth); // div, section, <b> around a Google Docs page, ...
+            }
+            if (block.trim()) out.push(block);
+        });
+        flush();
+        return out.join(separator || '\n\n');
+    }
+
+    return { convert: root => blocks(root, 0) };
+}
+
+// image(alt, src): Markdown to put in place of each image
+function htmlToMarkdown(html, image) {
+    const doc = new DOMParser().parseFromString(html, 'text/html'); // Inert, nothing loads
+    const converter = createHtmlConverter({
+        image: image || ((alt, src) => `![${alt}](${/\s/.test(src) ? `<${src}>` : src})`)
+    });
+    return converter.convert(doc.body).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function isRichHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const rich = doc.body.querySelectorAll(PASTE_RICH_SELECTOR);
+    // A lone image is better served by the image file flavour
+    return rich.length > 0 && !(rich.length === 1 && rich[0].localName === 'img' && !doc.body.textContent.trim());
+}
+
+// --- Images ---
+
+// Placeholder now, upload once the bytes are there (uploads.js)
+function pastedImageText(alt, src, pending) {
+    const data = src.match(/^data:image\/[\w.+-]+;base64,(.+)$/i);
+    if (!data && !isRemoteUrl(src)) return `![${alt}](${/\s/.test(src) ? `<${src}>` : src})`;
+    const upload = createUpload(newUploadId(), alt || 'Image');
+    pending.push({ upload: upload, src: src, alt: alt, base64: data ? data[1] : null });
+    return placeholderText(upload);
+}
+
+function uploadPastedImages(pending) {
+    pending.forEach(item => {
+        if (item.base64) {
+            item.upload.base64 = item.base64;
+            sendUpload(item.upload);
+            return;
+        }
+        fetchBlob(item.src).then(blobToDataUrl).then(dataUrl => { // export.js
+            if (!uploads.has(item.upload.id)) return; // Cancelled meanwhile
+            item.upload.base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+            sendUpload(item.upload);
+        }).catch(() => {
+            // Not readable from here (CORS, offline): keep the remote link
+            if (uploads.has(item.upload.id)) removePlaceholder(item.upload, `![${item.alt}](${item.src})`);
+        });
+    });
+}
+
+// --- Paste ---
+
+function insertPastedText(cm, text) {
+    cm.replaceSelection(text, 'end', 'paste');
+}
+
+function pasteLink(cm, url) {
+    const ranges = cm.listSelections();
+    if (ranges.some(range => range.empty() || range.anchor.line !== range.head.line)) return false;
+    const selected = cm.getSelections();
+    if (selected.some(text => PASTE_URL_REGEX.test(text.trim()) || /^\[.*\]\(.*\)$/.test(text))) return false;
+
+    const target = /[\s()]/.test(url) ? `<${url}>` : url;
+    cm.replaceSelections(selected.map(text => `[${text}](${target})`), 'around', 'paste');
+    cm.setSelections(cm.listSelections().map(range => ({ anchor: range.to(), head: range.to() })));
+    return true;
+}
+
+function pasteHtml(cm, html) {
+    const pending = [];
+    const markdown = htmlToMarkdown(html, (alt, src) => pastedImageText(alt, src, pending));
+    if (!markdown) return false;
+    cm.operation(() => {
+        const from = cm.getCursor('from');
+        const before = cm.getLine(from.line).slice(0, from.ch);
+        // Blocks start on their own line
+        const block = /\n/.test(markdown) && before.trim() ? '\n\n' : '';
+        insertPastedText(cm, block + markdown);
+    });
+    uploadPastedImages(pending);
+    return true;
+}
+
+// Paste handler step (app.js). True when the paste was taken care of.
+function handleRichPaste(cm, event) {
+    const data = event.clipboardData || (event.originalEvent && event.originalEvent.clipboardData);
+    if (!data) return false;
+    const text = data.getData('text/plain') || '';
+
+    if (plainPasteRequested) {
+        plainPasteRequested = false;
+        event.preventDefault();
+        insertPastedText(cm, text);
+        return true;
+    }
+    if (isInFencedCode(cm, cm.getCursor('from').line)) return false; // tables.js
+
+    if (PASTE_URL_REGEX.test(text.trim()) && cm.somethingSelected()) {
+        if (pasteLink(cm, text.trim())) {
+            event.preventDefault();
+            return true;
+        }
+    }
+
+    const html = data.getData('text/html');
+    if (!html || !isRichHtml(html) || cm.listSelections().length > 1) return false;
+    if (!pasteHtml(cm, html)) return false;
+    event.preventDefault();
+    return true;
+}
+
+// Called by Native App (Paste and Match Style). Without text the clipboard is read.
+function pasteAsPlainText(text) {
+    const insert = value => editor.operation(() => insertPastedText(editor, value));
+    if (typeof text === 'string') {
+        insert(text);
+        return Promise.resolve({ pasted: true });
+    }
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+        return Promise.reject(bridgeError('unsupported', 'The clipboard cannot be read here'));
+    }
+    return navigator.clipboard.readText().then(value => {
+        insert(value);
+        return { pasted: true };
+    });
+}
+
+function pasteKeyMap() {
+    const mod = /Mac/.test(navigator.platform) ? 'Cmd' : 'Ctrl';
+    const keyMap = {};
+    // Let the browser paste; the paste event that follows sees the flag
+    keyMap[`Shift-Alt-${mod}-V`] = () => {
+        plainPasteRequested = true;
+        setTimeout(() => { plainPasteRequested = false; }, 0);
+        return CodeMirror.Pass;
+    };
+    keyMap[`Shift-${mod}-V`] = keyMap[`Shift-Alt-${mod}-V`];
+    return keyMap;
+}
+
+function initPaste() {
+    editor.addKeyMap(pasteKeyMap());
+    onBridgeMessage('pasteAsPlainText', payload => pasteAsPlainText(payload.text));
+}
@@ -0,0 +1,234 @@
+// Preview Engine
+// The document is parsed once per render and split into top-level blocks.
+// Each block is rendered to HTML and keyed by a hash of that HTML, so only
+// blocks whose output changed are swapped in the DOM. Highlighted code and
+// Mermaid SVG are cached by content hash and survive across renders.
+//
+// Source lines: every block wrapper carries its absolute line range
+// (data-line-start / data-line-end). Elements inside a block carry
+// data-line relative to the block start, so inserting text above a block
+// does not change its HTML (and therefore its hash).
+
+const PREVIEW_DEBOUNCE_MS = 150;
+const PREVIEW_CACHE_LIMIT = 500;
+
+const highlightCache = new Map();
+const mermaidCache = new Map();
+
+let previewTimer = null;
+let mermaidRenderCount = 0;
+
+// FNV-1a (32 bit) - fast and good enough for cache keys
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+function cacheSet(cache, key, value) {
+    if (cache.size >= PREVIEW_CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value); // Map keeps insertion order, drop the oldest
+    }
+    cache.set(key, value);
+}
+
+// markdown-it `highlight` option, cached by language + source
+function highlightCode(str, lang) {
+    if (!window.hljs || !lang || !hljs.getLanguage(lang)) return ''; // markdown-it escapes it
+
+    const key = hashString(lang + '\u0000' + str);
+    let html = highlightCache.get(key);
+    if (html === undefined) {
+        try {
+            html = hljs.highlight(str, { language: lang, ignoreIllegals: true }).value;
+        } catch (__) {
+            html = '';
+        }
+        cacheSet(highlightCache, key, html);
+    }
+    return html;
+}
+
+// markdown-it plugin: ```mermaid fences become diagram containers
+function markdownitMermaid(md) {
+    const defaultFence = md.renderer.rules.fence;
+    md.renderer.rules.fence = function (tokens, idx, options, env, self) {
+        const token = tokens[idx];
+        const lang = token.info.trim().split(/\s+/)[0];
+        if (lang === 'mermaid') {
+            return `<div class="mermaid"${self.renderAttrs(token)}>${md.utils.escapeHtml(token.content)}</div>\n`;
+        }
+        return defaultFence(tokens, idx, options, env, self);
+    };
+}
+
+// Groups the flat token stream into top-level blocks (open ... close)
+function splitBlocks(tokens) {
+    const blocks = [];
+    let start = 0;
+    let depth = 0;
+    tokens.forEach((token, i) => {
+        depth += token.nesting;
+        if (depth === 0) {
+            blocks.push(tokens.slice(start, i + 1));
+            start = i + 1;
+        }
+    });
+    return blocks;
+}
+
+// Tag block-level tokens with their line, relative to the enclosing block
+function annotateSourceLines(blockTokens, base) {
+    blockTokens.forEach(token => {
+        if (token.map && token.nesting !== -1 && token.type !== 'inline') {
+            token.attrSet('data-line', String(token.map[0] - base));
+        }
+    });
+}
+
+function renderBlocks(markdown) {
+    const env = {};
+    const tokens = md.parse(markdown, env);
+    // Render every block with the shared env so footnotes and references resolve
+    return splitBlocks(tokens).map(blockTokens => {
+        const map = blockTokens[0].map;
+        if (map) annotateSourceLines(blockTokens, map[0]);
+        const html = md.renderer.render(blockTokens, md.options, env);
+        return { html: html, hash: hashString(html), map: map };
+    });
+}
+
+// Keyed reconciliation: reuse nodes with an identical hash, create the rest
+function patchPreview(previewDiv, blocks) {
+    const existing = new Map();
+    Array.from(previewDiv.children).forEach(node => {
+        const list = existing.get(node.dataset.hash) || [];
+        list.push(node);
+        existing.set(node.dataset.hash, list);
+    });
+
+    const created = [];
+    let ref = previewDiv.firstChild;
+    let reservedIds = null; // Walks the whole document, so only once and only when needed
+
+    blocks.forEach(block => {
+        const reusable = existing.get(block.hash);
+        let node = reusable && reusable.shift();
+        if (!node) {
+            node = document.createElement('div');
+            node.className = 'md-block';
+            node.dataset.hash = block.hash;
+            reservedIds = reservedIds || reservedHeadingIds(); // outline.js
+            node.appendChild(sanitizedFragment(block.html, reservedIds)); // See sanitize.js
+            created.push(node);
+        }
+        // Line ranges move even when the block itself did not change
+        if (block.map) {
+            node.dataset.lineStart = block.map[0];
+            node.dataset.lineEnd = block.map[1];
+        } else {
+            delete node.dataset.lineStart;
+            delete node.dataset.lineEnd;
+        }
+        if (node === ref) {
+            ref = ref.nextSibling;
+        } else {
+            previewDiv.insertBefore(node, ref);
+        }
+    });
+
+    // Whatever was not reused is stale
+    existing.forEach(list => list.forEach(node => node.remove()));
+    return created;
+}
+
+function decorateBlocks(nodes) {
+    nodes.forEach(node => {
+        node.querySelectorAll('pre > code').forEach(code => code.classList.add('hljs'));
+        node.querySelectorAll('pre.code-block').forEach(addCodeCopyButton); // See code-blocks.js
+        node.querySelectorAll('.mermaid').forEach(renderMermaid); // See diagrams.js
+    });
+}
+
+function mermaidCacheKey(source) {
+    return hashString(mermaidThemeKey + '\u0000' + source); // See themes.js
+}
+
+// Promise of the SVG for a diagram, cached per theme
+function renderMermaidSvg(source) {
+    const key = mermaidCacheKey(source);
+    const cached = mermaidCache.get(key);
+    if (cached !== undefined) return Promise.resolve(cached);
+
+    const id = 'mermaid-svg-' + (++mermaidRenderCount);
+    return mermaid.render(id, source).then(result => {
+        cacheSet(mermaidCache, key, result.svg);
+        return result.svg;
+    }).catch(e => {
+        // Mermaid leaves its scratch container behind on failure
+        const leftover = document.getElementById('d' + id);
+        if (leftover) leftover.remove();
+        throw e;
+    });
+}
+
+function isPreviewVisible() {
+    const previewPane = document.getElementById('preview-pane');
+    return !!previewPane && getComputedStyle(previewPane).display !== 'none';
+}
+
+// Remember the first visible block so the view does not jump when blocks above it change
+function capturePreviewAnchor(pane, previewDiv) {
+    const paneTop = pane.getBoundingClientRect().top;
+    for (const node of previewDiv.children) {
+        const rect = node.getBoundingClientRect();
+        if (rect.bottom > paneTop) {
+            return { node: node, offset: rect.top - paneTop, scrollTop: pane.scrollTop };
+        }
+    }
+    return { node: null, offset: 0, scrollTop: pane.scrollTop };
+}
+
+function restorePreviewAnchor(pane, anchor) {
+    if (anchor.node && anchor.node.isConnected) {
+        const drift = anchor.node.getBoundingClientRect().top - pane.getBoundingClientRect().top - anchor.offset;
+        pane.scrollTop += drift;
+    } else {
+        pane.scrollTop = anchor.scrollTop;
+    }
+}
+
+// Render now. Skipped while the preview is hidden; showing it renders again.
+function updatePreview(markdown) {
+    clearTimeout(previewTimer);
+    previewTimer = null;
+
+    if (!isPreviewVisible()) return;
+
+    if (typeof markdown !== 'string') markdown = editor.getValue();
+
+    const pane = document.getElementById('preview-pane');
+    const previewDiv = document.getElementById('preview');
+    const anchor = capturePreviewAnchor(pane, previewDiv);
+
+    const created = patchPreview(previewDiv, renderBlocks(markdown));
+    decorateBlocks(created);
+
+    restorePreviewAnchor(pane, anchor);
+    document.dispatchEvent(new CustomEvent('previewrendered'));
+}
+
+// Debounced render, used while typing
+function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, PREVIEW_DEBOUNCE_MS);
+}
+
+// Throw away rendered blocks (e.g. after a theme change) and render again
+function refreshPreview() {
+    document.getElementById('preview').innerHTML = '';
+    updatePreview();
+}
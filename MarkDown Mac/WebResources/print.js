@@ -0,0 +1,158 @@
+// Print
+// Printing (exportPDF, or Cmd-P in a browser) lays out only the rendered note
+// at page width. It is built into #print-root, which the print stylesheet
+// shows instead of the app:
+//
+//   - code blocks, diagrams, tables and images are kept on one page
+//   - a line with just <!-- pagebreak --> starts a new page
+//   - an optional title page from the note title (front matter or heading)
+//   - header and footer templates; {title}, {date}, {page} and {pages} are
+//     replaced. The native host draws them on its own pages; window.print()
+//     gets them as @page margin boxes where the engine supports those
+//   - canvas drawings pinned to the text they were drawn next to (export.js)
+
+const PAGEBREAK_REGEX = /^<!--\s*page-?break\s*-->\s*$/i;
+
+let printPrepared = false; // #print-root is filled for the coming print
+let printOptions = {
+    titlePage: false,
+    header: '{title}',
+    footer: '{page} / {pages}'
+};
+
+// --- markdown-it plugin ---
+
+function markdownitPageBreaks(md) {
+    const defaultHtmlBlock = md.renderer.rules.html_block;
+    md.renderer.rules.html_block = function (tokens, idx, options, env, self) {
+        const token = tokens[idx];
+        if (PAGEBREAK_REGEX.test(token.content.trim())) {
+            return `<div class="page-break"${self.renderAttrs(token)}></div>\n`;
+        }
+        return defaultHtmlBlock(tokens, idx, options, env, self);
+    };
+}
+
+// --- Templates ---
+
+function formatPrintDate(date) {
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// {title} and {date} filled in; {page} and {pages} left for the printer
+function expandPrintTemplate(template, title) {
+    return template
+        .replace(/\{title\}/g, title)
+        .replace(/\{date\}/g, formatPrintDate(new Date()));
+}
+
+function cssString(text) {
+    return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ') + '"';
+}
+
+// An expanded template as a CSS `content` value with page counters
+function printTemplateContent(text) {
+    const parts = text.split(/(\{pages?\})/).filter(Boolean).map(part => {
+        if (part === '{page}') return 'counter(page)';
+        if (part === '{pages}') return 'counter(pages)';
+        return cssString(part);
+    });
+    return parts.length ? parts.join(' ') : 'none';
+}
+
+function updatePrintPageStyle(header, footer) {
+    let style = document.getElementById('print-page-style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'print-page-style';
+        document.head.appendChild(style);
+    }
+    style.textContent = '@page {\n' +
+        `    @top-center { content: ${printTemplateContent(header)}; }\n` +
+        `    @bottom-center { content: ${printTemplateContent(footer)}; }\n` +
+        '}\n' +
+        (printOptions.titlePage
+            ? '@page :first {\n    @top-center { content: none; }\n    @bottom-center { content: none; }\n}\n'
+            : '');
+}
+
+// --- Layout ---
+
+function buildTitlePage(title) {
+    const page = document.createElement('section');
+    page.className = 'print-title-page';
+    const heading = document.createElement('h1');
+    heading.textContent = title;
+    page.appendChild(heading);
+
+    const metadata = noteMetadata(editor.getValue());
+    const details = document.createElement('p');
+    details.className = 'print-title-details';
+    details.textContent = metadata.created || formatPrintDate(new Date());
+    page.appendChild(details);
+    if (metadata.tags.length) {
+        const tags = document.createElement('p');
+        tags.className = 'print-title-tags';
+        tags.textContent = metadata.tags.map(tag => '#' + tag).join('  ');
+        page.appendChild(tags);
+    }
+    return page;
+}
+
+// Fills #print-root; resolves once diagrams are rendered
+function preparePrintDocument() {
+    const root = document.getElementById('print-root');
+    const title = noteTitle();
+    const container = renderExportContainer();
+    container.classList.remove('export-document');
+    container.classList.add('print-document');
+
+    root.innerHTML = '';
+    if (printOptions.titlePage) root.appendChild(buildTitlePage(title));
+    root.appendChild(container);
+    appendStrokeOverlays(container);
+
+    const header = expandPrintTemplate(printOptions.header, title);
+    const footer = expandPrintTemplate(printOptions.footer, title);
+    updatePrintPageStyle(header, footer);
+    printPrepared = true;
+
+    return inlineExportDiagrams(container).then(() => ({ title: title, header: header, footer: footer }));
+}
+
+function setPrintOptions(options) {
+    ['titlePage', 'header', 'footer'].forEach(key => {
+        if (options[key] !== undefined) printOptions[key] = options[key];
+    });
+}
+
+function clearPrintDocument() {
+    printPrepared = false;
+    document.getElementById('print-root').innerHTML = '';
+}
+
+// Called by Native App; options as in setPrintOptions
+function exportPDF(options) {
+    setPrintOptions(options || {});
+    return preparePrintDocument().then(page => {
+        if (!hostSupports('exportPDF')) {
+            window.print(); // afterprint clears up
+            return;
+        }
+        // No afterprint here: clear up once the host has made the PDF, so a
+        // later Cmd-P lays out the note as it is then
+        bridgeRequest('exportPDF', page)
+            .catch(e => console.warn("PDF export:", e.message))
+            .then(clearPrintDocument);
+    });
+}
+
+function initPrint() {
+    // Cmd-P in a browser: no time to wait for diagrams, cached ones are used
+    window.addEventListener('beforeprint', () => {
+        if (!printPrepared) preparePrintDocument();
+    });
+    window.addEventListener('afterprint', clearPrintDocument);
+    onBridgeMessage('exportPDF', exportPDF);
+    onBridgeMessage('setPrintOptions', setPrintOptions);
+}
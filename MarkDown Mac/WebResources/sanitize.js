@@ -0,0 +1,229 @@
+// Sanitizer
+// Rendered HTML passes through an allowlist before it reaches the DOM
+// (patchPreview), since a note from someone else must not run script in the
+// WebView, where the bridge is one call away:
+//
+//   - elements outside the allowlist are unwrapped (their text stays);
+//     script, style, forms, embeds and the like are removed with their content
+//   - event handlers and unknown attributes are dropped (data- attributes
+//     too, except the ones the renderer writes itself), URLs must be
+//     relative or use a safe scheme (no javascript:), styles lose url(),
+//     positioning and friends, ids may not take over the app's own elements
+//   - iframes are kept only for known video players, and sandboxed
+//
+// Mermaid runs with securityLevel 'strict' at the same time (themes.js).
+// The host can mark a note as trusted (setContent's trusted flag or
+// setTrusted); its HTML is then used as written and Mermaid runs 'loose'.
+
+const SANITIZE_ELEMENTS = new Set([
+    'a', 'abbr', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'eq', 'eqn',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img',
+    'input', 'ins', 'kbd', 'li', 'mark', 'nav', 'ol', 'p', 'picture', 'pre', 'q', 'rp', 'rt', 'ruby',
+    's', 'samp', 'section', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'video', 'wbr'
+]);
+
+// KaTeX output: MathML for screen readers and SVG for stretchy symbols
+const SANITIZE_MATHML_ELEMENTS = new Set([
+    'math', 'annotation', 'semantics', 'menclose', 'merror', 'mfrac', 'mi', 'mmultiscripts', 'mn', 'mo',
+    'mover', 'mpadded', 'mphantom', 'mroot', 'mrow', 'ms', 'mspace', 'msqrt', 'mstyle', 'msub',
+    'msubsup', 'msup', 'mtable', 'mtd', 'mtext', 'mtr', 'munder', 'munderover'
+]);
+
+const SANITIZE_SVG_ELEMENTS = new Set([
+    'svg', 'g', 'path', 'line', 'rect', 'circle', 'ellipse', 'polyline', 'polygon', 'text', 'tspan',
+    'title', 'desc', 'defs', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'marker'
+]);
+
+// Removed together with their content
+const SANITIZE_DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'param', 'link',
+    'meta', 'base', 'form', 'button', 'select', 'option', 'optgroup', 'textarea', 'noscript',
+    'template', 'foreignobject', 'use', 'animate', 'animatemotion', 'animatetransform', 'set',
+    'portal', 'dialog', 'canvas'
+]);
+
+const SANITIZE_GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'title', 'lang', 'dir', 'role', 'style', 'align', 'hidden']);
+
+const SANITIZE_ELEMENT_ATTRIBUTES = {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'srcset', 'loading'],
+    source: ['src', 'srcset', 'type', 'media'],
+    video: ['src', 'poster', 'controls', 'loop', 'muted', 'playsinline', 'preload', 'width', 'height'],
+    audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start', 'type', 'reversed'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'width'],
+    th: ['colspan', 'rowspan', 'width', 'scope'],
+    col: ['span', 'width'],
+    colgroup: ['span', 'width'],
+    details: ['open'],
+    q: ['cite'],
+    blockquote: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+    table: ['width']
+};
+
+const SANITIZE_SVG_ATTRIBUTES = new Set([
+    'xmlns', 'viewbox', 'width', 'height', 'preserveaspectratio', 'd', 'fill', 'fill-rule', 'fill-opacity',
+    'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'transform', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'points',
+    'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform', 'focusable',
+    'text-anchor', 'dominant-baseline', 'font-size', 'font-family', 'font-weight', 'clip-path',
+    'marker-start', 'marker-mid', 'marker-end', 'markerwidth', 'markerheight', 'refx', 'refy', 'orient'
+]);
+
+// The rest (data-hash, data-line-start, ...) are the app's own hooks, see preview.js
+const SANITIZE_DATA_ATTRIBUTES = new Set([
+    'data-line', 'data-line-number', 'data-line-numbers', 'data-language', 'data-note', 'data-heading'
+]);
+
+const SANITIZE_URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'cite', 'srcset']);
+const SANITIZE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel', 'file', 'blob'];
+const SANITIZE_IFRAME_HOSTS = ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+// Positioning goes too: an absolute block with a z-index could cover the app's own UI
+const SANITIZE_STYLE_REGEX = /url\s*\(|expression\s*\(|javascript:|behavior\s*:|-moz-binding|@import|(^|[\s;])(position|z-index)\s*:/i;
+
+let noteTrusted = false;
+
+// --- Values ---
+
+// Relative URLs, fragments and the schemes above; data: only for images
+function isSafeUrl(value, allowDataImage) {
+    const url = value.replace(/[\u0000- \u007f-\u009f]+/g, '');
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return true;
+    const name = scheme[1].toLowerCase();
+    if (name === 'data') return allowDataImage && /^data:image\/(png|jpe?g|gif|webp|svg\+xml|bmp)[;,]/i.test(url);
+    return SANITIZE_URL_SCHEMES.indexOf(name) !== -1;
+}
+
+function isSafeSrcset(value) {
+    return value.split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0] || '', true));
+}
+
+function sanitizeStyle(style) {
+    return style.split(';').filter(declaration => declaration.trim() !== '' && !SANITIZE_STYLE_REGEX.test(declaration)).join(';');
+}
+
+function isAllowedIframe(el) {
+    const src = el.getAttribute('src') || '';
+    const match = src.match(/^https:\/\/([^\/?#]+)\//i);
+    return !!match && SANITIZE_IFRAME_HOSTS.indexOf(match[1].toLowerCase()) !== -1;
+}
+
+// --- Tree ---
+
+function sanitizeAttributes(el, kind, reservedIds) {
+    const tag = el.localName.toLowerCase();
+    const allowed = SANITIZE_ELEMENT_ATTRIBUTES[tag] || [];
+
+    Array.from(el.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        let keep;
+        if (name.startsWith('on')) {
+            keep = false;
+        } else if (name.startsWith('aria-')) {
+            keep = true;
+        } else if (name.startsWith('data-')) {
+            keep = SANITIZE_DATA_ATTRIBUTES.has(name);
+        } else if (kind === 'mathml') {
+            keep = !SANITIZE_URL_ATTRIBUTES.has(name) && name !== 'xlink:href';
+        } else if (kind === 'svg') {
+            keep = SANITIZE_SVG_ATTRIBUTES.has(name) || SANITIZE_GLOBAL_ATTRIBUTES.has(name);
+        } else {
+            keep = SANITIZE_GLOBAL_ATTRIBUTES.has(name) || allowed.indexOf(name) !== -1;
+        }
+
+        if (keep && SANITIZE_URL_ATTRIBUTES.has(name)) {
+            const dataImage = tag === 'img' || tag === 'source' || name === 'poster';
+            keep = name === 'srcset' ? isSafeSrcset(attr.value) : isSafeUrl(attr.value, dataImage);
+        }
+        if (keep && name === 'id') keep = !reservedIds.has(attr.value);
+        if (keep && name !== 'style' && /url\s*\(\s*['"]?\s*javascript:/i.test(attr.value)) keep = false; // SVG paint references
+
+        if (!keep) {
+            el.removeAttribute(attr.name);
+        } else if (name === 'style') {
+            const style = sanitizeStyle(attr.value);
+            if (style) el.setAttribute('style', style);
+            else el.removeAttribute('style');
+        }
+    });
+
+    if (tag === 'a' && el.getAttribute('target')) el.setAttribute('rel', 'noopener noreferrer');
+}
+
+function elementKind(el) {
+    const tag = el.localName.toLowerCase();
+    const namespace = el.namespaceURI || '';
+    if (/MathML/.test(namespace)) return SANITIZE_MATHML_ELEMENTS.has(tag) ? 'mathml' : null;
+    if (/svg/.test(namespace)) return SANITIZE_SVG_ELEMENTS.has(tag) ? 'svg' : null;
+    if (tag === 'input') return (el.getAttribute('type') || '').toLowerCase() === 'checkbox' ? 'html' : null;
+    return SANITIZE_ELEMENTS.has(tag) ? 'html' : null;
+}
+
+function sanitizeNode(parent, reservedIds) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+            node.remove();
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.localName.toLowerCase();
+        if (tag === 'iframe' && isAllowedIframe(node)) {
+            const frame = document.createElement('iframe');
+            frame.setAttribute('src', node.getAttribute('src'));
+            ['width', 'height', 'title', 'allowfullscreen'].forEach(name => {
+                if (node.hasAttribute(name)) frame.setAttribute(name, node.getAttribute(name));
+            });
+            frame.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-presentation allow-popups');
+            frame.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+            node.replaceWith(frame);
+            return;
+        }
+        if (SANITIZE_DROPPED_ELEMENTS.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        const kind = elementKind(node);
+        sanitizeNode(node, reservedIds);
+        if (!kind) {
+            node.replaceWith.apply(node, Array.from(node.childNodes)); // Keep the text
+            return;
+        }
+        sanitizeAttributes(node, kind, reservedIds);
+    });
+}
+
+// Rendered HTML as a fragment ready to insert; untouched for trusted notes.
+// reservedIds: reservedHeadingIds(), taken once per render by the caller
+function sanitizedFragment(html, reservedIds) {
+    const template = document.createElement('template'); // Inert: nothing loads or runs while parsing
+    template.innerHTML = html;
+    if (!noteTrusted) sanitizeNode(template.content, reservedIds);
+    return document.importNode(template.content, true);
+}
+
+// --- Trust ---
+
+// rerender: false when the caller renders anyway (setContent). Either way
+// no block rendered under the old setting is reused.
+function setNoteTrusted(trusted, rerender) {
+    if (trusted === noteTrusted) return;
+    noteTrusted = trusted;
+    document.body.classList.toggle('note-trusted', trusted);
+    if (activeTheme) applyMermaidTheme(activeTheme); // Security level, see themes.js
+    if (rerender !== false) refreshPreview();
+    else document.getElementById('preview').innerHTML = '';
+}
+
+function initSanitizer() {
+    onBridgeMessage('setTrusted', payload => setNoteTrusted(payload.trusted));
+}
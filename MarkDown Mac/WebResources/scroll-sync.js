@@ -0,0 +1,163 @@
+// Scroll Sync (Editor <-> Preview)
+// Uses the source line attributes written by preview.js to map editor lines
+// to preview offsets and back. Positions between two mapped lines are
+// interpolated so both panes move smoothly.
+
+let scrollMap = null;       // Sorted [{ line, top }], rebuilt lazily
+let scrollSyncSource = null; // Pane currently driving the sync ('editor' | 'preview')
+let scrollSyncRelease = null;
+
+function invalidateScrollMap() {
+    scrollMap = null;
+}
+
+function previewOffsetTop(pane, el) {
+    return el.getBoundingClientRect().top - pane.getBoundingClientRect().top + pane.scrollTop;
+}
+
+function buildScrollMap() {
+    const pane = document.getElementById('preview-pane');
+    const previewDiv = document.getElementById('preview');
+    const entries = [{ line: 0, top: 0 }];
+
+    previewDiv.querySelectorAll('[data-line-start]').forEach(block => {
+        const base = parseInt(block.dataset.lineStart, 10);
+        entries.push({ line: base, top: previewOffsetTop(pane, block) });
+        block.querySelectorAll('[data-line]').forEach(el => {
+            entries.push({ line: base + parseInt(el.dataset.line, 10), top: previewOffsetTop(pane, el) });
+        });
+    });
+    entries.push({ line: editor.lineCount(), top: pane.scrollHeight });
+
+    // Keep one entry per line and drop anything that would run backwards
+    entries.sort((a, b) => a.line - b.line || a.top - b.top);
+    const map = [];
+    entries.forEach(entry => {
+        const last = map[map.length - 1];
+        if (last && entry.line === last.line) return;
+        if (last && entry.top < last.top) return;
+        map.push(entry);
+    });
+    return map;
+}
+
+function getScrollMap() {
+    if (!scrollMap) scrollMap = buildScrollMap();
+    return scrollMap;
+}
+
+// Fractional source line -> preview offset
+function previewTopForLine(line) {
+    const map = getScrollMap();
+    let i = 0;
+    while (i < map.length - 1 && map[i + 1].line <= line) i++;
+    const a = map[i];
+    const b = map[i + 1];
+    if (!b || b.line === a.line) return a.top;
+    return a.top + (b.top - a.top) * (line - a.line) / (b.line - a.line);
+}
+
+// Preview offset -> fractional source line
+function lineForPreviewTop(top) {
+    const map = getScrollMap();
+    let i = 0;
+    while (i < map.length - 1 && map[i + 1].top <= top) i++;
+    const a = map[i];
+    const b = map[i + 1];
+    if (!b || b.top === a.top) return a.line;
+    return a.line + (b.line - a.line) * (top - a.top) / (b.top - a.top);
+}
+
+// Fractional line at an editor offset (local coordinates)
+function editorLineAtHeight(height) {
+    const line = editor.lineAtHeight(height, 'local');
+    const lineTop = editor.heightAtLine(line, 'local');
+    const lineHeight = editor.getLineHandle(line).height || 1;
+    return line + Math.min(Math.max((height - lineTop) / lineHeight, 0), 1);
+}
+
+function editorHeightAtLine(line) {
+    const whole = Math.min(Math.floor(line), editor.lineCount() - 1);
+    const lineTop = editor.heightAtLine(whole, 'local');
+    return lineTop + (editor.getLineHandle(whole).height || 0) * (line - whole);
+}
+
+function isSplitView() {
+    return document.body.classList.contains('split-view');
+}
+
+// The pane that started a sync owns it until the other side has settled
+function claimScrollSync(source) {
+    if (scrollSyncSource && scrollSyncSource !== source) return false;
+    scrollSyncSource = source;
+    clearTimeout(scrollSyncRelease);
+    scrollSyncRelease = setTimeout(() => { scrollSyncSource = null; }, 80);
+    return true;
+}
+
+function syncPreviewToEditor() {
+    if (!isSplitView() || !claimScrollSync('editor')) return;
+    const pane = document.getElementById('preview-pane');
+    const info = editor.getScrollInfo();
+    pane.scrollTop = previewTopForLine(editorLineAtHeight(info.top));
+}
+
+function syncEditorToPreview() {
+    if (!isSplitView() || !claimScrollSync('preview')) return;
+    const pane = document.getElementById('preview-pane');
+    editor.scrollTo(null, editorHeightAtLine(lineForPreviewTop(pane.scrollTop)));
+}
+
+// Keep the cursor line at the same height in both panes
+function syncPreviewToCursor() {
+    if (!isSplitView() || !claimScrollSync('editor')) return;
+    const pane = document.getElementById('preview-pane');
+    const line = editor.getCursor().line;
+    const offsetInView = editor.heightAtLine(line, 'local') - editor.getScrollInfo().top;
+    pane.scrollTop = previewTopForLine(line) - offsetInView;
+}
+
+// Clicking a rendered block puts the cursor on its source line
+function handlePreviewClick(e) {
+    if (e.target.closest('a, input, button, summary')) return;
+    const lineEl = e.target.closest('[data-line], [data-line-start]');
+    if (!lineEl) return;
+
+    const block = lineEl.closest('[data-line-start]');
+    if (!block) return;
+    let line = parseInt(block.dataset.lineStart, 10);
+    if (lineEl !== block) line += parseInt(lineEl.dataset.line, 10);
+
+    editor.setCursor({ line: line, ch: 0 });
+    editor.focus();
+}
+
+function initScrollSync() {
+    const pane = document.getElementById('preview-pane');
+    // One sync per frame per source
+    const throttled = fn => {
+        let frame = null;
+        return () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => { frame = null; fn(); });
+        };
+    };
+
+    editor.on('scroll', throttled(syncPreviewToEditor));
+    editor.on('cursorActivity', throttled(syncPreviewToCursor));
+    pane.addEventListener('scroll', throttled(syncEditorToPreview));
+    document.getElementById('preview').addEventListener('click', handlePreviewClick);
+
+    // Offsets change whenever the preview re-renders or its size changes
+    // (window resize, images loading, Mermaid SVG arriving)
+    document.addEventListener('previewrendered', () => {
+        invalidateScrollMap();
+        syncPreviewToCursor(); // Edits come from the editor, follow the cursor
+    });
+    editor.on('refresh', invalidateScrollMap);
+    if (window.ResizeObserver) {
+        new ResizeObserver(invalidateScrollMap).observe(document.getElementById('preview'));
+    } else {
+        window.addEventListener('resize', invalidateScrollMap);
+    }
+}
@@ -0,0 +1,499 @@
+// Tables
+// Editing support for GFM pipe tables. With the cursor in a table:
+// - columns are realigned as you type
+// - Tab / Shift-Tab move between cells (Tab in the last cell adds a row)
+// - Enter moves down a row; in the last row it adds one, and on an empty
+//   last row it leaves the table
+// - TABLE_COMMANDS insert, delete and move rows and columns and set the
+//   column alignment (:--- / :---: / ---:)
+// Pasting tab separated text (or clipboard data typed as CSV / TSV) outside
+// a table turns it into one; comma separated plain text only through the
+// pasteTable command, since prose and code have commas too.
+//
+// A table is read into { start, end, aligns, rows } where rows[0] is the
+// header; the delimiter row is not part of `rows`. Every edit rewrites the
+// table from that model, so it always comes out aligned.
+
+const TABLE_DELIMITER_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const TABLE_MIN_WIDTH = 3;
+
+// --- Reading ---
+
+// A leading pipe, or a pipe that splits cells (not escaped, not in `code`)
+function isTableRowText(text) {
+    if (text.trim() === '') return false;
+    return /^\s*\|/.test(text) || splitTableRow(text).length > 1;
+}
+
+// Cells of a row with their column range. Pipes inside `code` or escaped
+// as \| do not split cells.
+function splitTableRow(text) {
+    const cells = [];
+    const first = text.search(/\S/);
+    let start = first !== -1 && text[first] === '|' ? first + 1 : 0;
+    let inCode = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '`') {
+            inCode = !inCode;
+        } else if (ch === '|' && !inCode) {
+            cells.push({ start: start, end: i });
+            start = i + 1;
+        }
+    }
+    if (text.slice(start).trim() !== '' || cells.length === 0) cells.push({ start: start, end: text.length });
+    cells.forEach(cell => { cell.text = text.slice(cell.start, cell.end); });
+    return cells;
+}
+
+function isInFencedCode(cm, line) {
+    if (line === 0) return false;
+    let mode = cm.getMode();
+    let state = cm.getStateAfter(line - 1, true);
+    // Step in as far as the markdown state; a fence's own language mode lies beyond it
+    while (mode.name !== 'markdown' && mode.innerMode) {
+        const inner = mode.innerMode(state);
+        if (!inner || inner.mode === mode) break;
+        mode = inner.mode;
+        state = inner.state;
+    }
+    return !!(state && state.fencedEndRE);
+}
+
+// Line range of the table around `line`, or null
+function findTable(cm, line) {
+    if (!isTableRowText(cm.getLine(line)) || isInFencedCode(cm, line)) return null;
+    let start = line;
+    let end = line;
+    while (start > 0 && isTableRowText(cm.getLine(start - 1))) start--;
+    while (end < cm.lastLine() && isTableRowText(cm.getLine(end + 1))) end++;
+    // A header row followed by the delimiter row
+    if (end - start < 1 || !TABLE_DELIMITER_REGEX.test(cm.getLine(start + 1))) return null;
+    return { start: start, end: end };
+}
+
+function parseAlignment(cell) {
+    const text = cell.trim();
+    const left = text[0] === ':';
+    const right = text[text.length - 1] === ':';
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+}
+
+// keep: { line, col, offset } - whitespace typed before that offset in that
+// cell survives, so spaces can be typed inside a cell
+function readTable(cm, range, keep) {
+    const aligns = splitTableRow(cm.getLine(range.start + 1)).map(cell => parseAlignment(cell.text));
+    const rows = [];
+    for (let line = range.start; line <= range.end; line++) {
+        if (line === range.start + 1) continue;
+        rows.push(splitTableRow(cm.getLine(line)).map((cell, col) => {
+            const content = cell.text.replace(/^\s+/, '');
+            if (keep && keep.line === line && keep.col === col) {
+                return content.slice(0, keep.offset) + content.slice(keep.offset).replace(/\s+$/, '');
+            }
+            return content.replace(/\s+$/, '');
+        }));
+    }
+    const columns = Math.max(aligns.length, Math.max.apply(null, rows.map(row => row.length)));
+    while (aligns.length < columns) aligns.push(null);
+    rows.forEach(row => { while (row.length < columns) row.push(''); });
+    return { start: range.start, end: range.end, aligns: aligns, rows: rows };
+}
+
+// Row index (0 = header, -1 = delimiter) and cell under a position
+function tableCellAt(cm, table, pos) {
+    const index = pos.line - table.start;
+    const cells = splitTableRow(cm.getLine(pos.line));
+    let col = cells.findIndex(cell => pos.ch <= cell.end);
+    if (col === -1) col = cells.length - 1;
+    const cell = cells[col];
+    const lead = cell.text.length - cell.text.replace(/^\s+/, '').length;
+    return {
+        row: index === 0 ? 0 : index === 1 ? -1 : index - 1,
+        col: Math.min(col, table.aligns.length - 1),
+        offset: Math.max(0, pos.ch - cell.start - lead)
+    };
+}
+
+function tableLine(table, row) {
+    return table.start + (row === 0 ? 0 : row + 1);
+}
+
+// --- Writing ---
+
+function delimiterCell(width, align) {
+    if (align === 'center') return ':' + '-'.repeat(width - 2) + ':';
+    if (align === 'right') return '-'.repeat(width - 1) + ':';
+    if (align === 'left') return ':' + '-'.repeat(width - 1);
+    return '-'.repeat(width);
+}
+
+// Aligned lines plus the column where each cell's content starts
+function formatTable(table) {
+    const widths = table.aligns.map((align, col) => Math.max(
+        TABLE_MIN_WIDTH,
+        Math.max.apply(null, table.rows.map(row => row[col].length))
+    ));
+    const lines = [];
+    const starts = [];
+
+    const writeRow = (cells, aligns) => {
+        let line = '|';
+        const rowStarts = [];
+        cells.forEach((cell, col) => {
+            const pad = widths[col] - cell.length;
+            const align = aligns ? aligns[col] : null;
+            const left = align === 'right' ? pad : align === 'center' ? Math.floor(pad / 2) : 0;
+            line += ' ';
+            rowStarts.push(line.length + left);
+            line += ' '.repeat(left) + cell + ' '.repeat(pad - left) + ' |';
+        });
+        lines.push(line);
+        starts.push(rowStarts);
+    };
+
+    table.rows.forEach((row, index) => {
+        writeRow(row, table.aligns);
+        if (index === 0) writeRow(table.aligns.map((align, col) => delimiterCell(widths[col], align)), null);
+    });
+    return { lines: lines, starts: starts };
+}
+
+// Writes the table back and puts the cursor at { row, col, offset } (or
+// selects the cell content with select: true)
+function writeTable(cm, table, target) {
+    const formatted = formatTable(table);
+    const oldCount = table.end - table.start + 1;
+
+    if (formatted.lines.length === oldCount) {
+        formatted.lines.forEach((text, i) => {
+            const line = table.start + i;
+            if (cm.getLine(line) !== text) {
+                cm.replaceRange(text, { line: line, ch: 0 }, { line: line, ch: cm.getLine(line).length }, 'table');
+            }
+        });
+    } else {
+        cm.replaceRange(formatted.lines.join('\n'),
+            { line: table.start, ch: 0 },
+            { line: table.end, ch: cm.getLine(table.end).length }, 'table');
+    }
+    table.end = table.start + formatted.lines.length - 1;
+
+    if (!target) return;
+    const row = Math.max(0, Math.min(target.row, table.rows.length - 1));
+    const col = Math.max(0, Math.min(target.col, table.aligns.length - 1));
+    const line = tableLine(table, row);
+    const start = formatted.starts[line - table.start][col];
+    const content = table.rows[row][col];
+    if (target.select) {
+        cm.setSelection({ line: line, ch: start }, { line: line, ch: start + content.length });
+    } else {
+        cm.setCursor({ line: line, ch: start + Math.min(target.offset || 0, content.length) });
+    }
+}
+
+// Table and cursor cell at the (single) cursor, or null
+function tableAtCursor(cm, keepWhitespace) {
+    if (cm.listSelections().length > 1) return null;
+    const cursor = cm.getCursor();
+    const range = findTable(cm, cursor.line);
+    if (!range) return null;
+    const probe = { start: range.start, aligns: splitTableRow(cm.getLine(range.start + 1)) };
+    const cell = tableCellAt(cm, probe, cursor);
+    const keep = keepWhitespace ? { line: cursor.line, col: cell.col, offset: cell.offset } : null;
+    const table = readTable(cm, range, keep);
+    cell.col = Math.min(cell.col, table.aligns.length - 1);
+    return { table: table, cell: cell };
+}
+
+// --- Realign while typing ---
+
+function realignTableAfterChange(cm, change) {
+    if (change.origin !== '+input' && change.origin !== '+delete') return;
+    if (cm.somethingSelected()) return;
+    const found = tableAtCursor(cm, true);
+    // Leave the delimiter row alone while its markers are being typed
+    if (!found || found.cell.row === -1) return;
+    const cell = found.cell;
+    writeTable(cm, found.table, { row: cell.row, col: cell.col, offset: cell.offset });
+}
+
+// --- Keys ---
+
+function tableTab(cm, direction) {
+    const found = tableAtCursor(cm, false);
+    if (!found) return CodeMirror.Pass;
+    const table = found.table;
+    const columns = table.aligns.length;
+    let row = found.cell.row === -1 ? 0 : found.cell.row;
+    let col = found.cell.col + direction;
+
+    if (col >= columns) {
+        col = 0;
+        row++;
+        if (row >= table.rows.length) table.rows.push(table.aligns.map(() => ''));
+    } else if (col < 0) {
+        if (row === 0) col = 0;
+        else { row--; col = columns - 1; }
+    }
+    writeTable(cm, table, { row: row, col: col, select: true });
+}
+
+function tableEnter(cm) {
+    const found = tableAtCursor(cm, false);
+    if (!found) return CodeMirror.Pass;
+    const table = found.table;
+    const row = found.cell.row === -1 ? 0 : found.cell.row;
+    const last = table.rows.length - 1;
+
+    if (row === last && row > 0 && table.rows[row].every(cell => cell === '')) {
+        // Empty last row: clear it and continue below the table, like
+        // Enter on an empty list item
+        cm.replaceRange('', { line: table.end, ch: 0 }, { line: table.end, ch: cm.getLine(table.end).length }, 'table');
+        cm.setCursor({ line: table.end, ch: 0 });
+        return;
+    }
+    if (row === last) table.rows.push(table.aligns.map(() => ''));
+    writeTable(cm, table, { row: row + 1, col: found.cell.col, offset: 0 });
+}
+
+// --- Commands ---
+
+function moveItem(list, from, to) {
+    const item = list.splice(from, 1)[0];
+    list.splice(to, 0, item);
+}
+
+function setColumnAlign(align) {
+    return (table, cell) => {
+        table.aligns[cell.col] = align;
+        return { row: cell.row, col: cell.col };
+    };
+}
+
+// Each command changes the table model and returns the cell to put the
+// cursor in. Rows are body rows; the header cannot be moved or deleted.
+const TABLE_COMMANDS = {
+    formatTable: (table, cell) => ({ row: cell.row, col: cell.col, offset: cell.offset }),
+    insertRowAbove: (table, cell) => {
+        const row = Math.max(1, cell.row);
+        table.rows.splice(row, 0, table.aligns.map(() => ''));
+        return { row: row, col: cell.col };
+    },
+    insertRowBelow: (table, cell) => {
+        table.rows.splice(cell.row + 1, 0, table.aligns.map(() => ''));
+        return { row: cell.row + 1, col: cell.col };
+    },
+    deleteRow: (table, cell) => {
+        if (cell.row < 1) return null;
+        table.rows.splice(cell.row, 1);
+        if (table.rows.length === 1) table.rows.push(table.aligns.map(() => '')); // Keep one body row
+        return { row: Math.min(cell.row, table.rows.length - 1), col: cell.col };
+    },
+    moveRowUp: (table, cell) => {
+        if (cell.row < 2) return null;
+        moveItem(table.rows, cell.row, cell.row - 1);
+        return { row: cell.row - 1, col: cell.col, offset: cell.offset };
+    },
+    moveRowDown: (table, cell) => {
+        if (cell.row < 1 || cell.row >= table.rows.length - 1) return null;
+        moveItem(table.rows, cell.row, cell.row + 1);
+        return { row: cell.row + 1, col: cell.col, offset: cell.offset };
+    },
+    insertColumnLeft: (table, cell) => {
+        table.aligns.splice(cell.col, 0, null);
+        table.rows.forEach(row => row.splice(cell.col, 0, ''));
+        return { row: cell.row, col: cell.col };
+    },
+    insertColumnRight: (table, cell) => {
+        table.aligns.splice(cell.col + 1, 0, null);
+        table.rows.forEach(row => row.splice(cell.col + 1, 0, ''));
+        return { row: cell.row, col: cell.col + 1 };
+    },
+    deleteColumn: (table, cell) => {
+        if (table.aligns.length < 2) return null;
+        table.aligns.splice(cell.col, 1);
+        table.rows.forEach(row => row.splice(cell.col, 1));
+        return { row: cell.row, col: Math.min(cell.col, table.aligns.length - 1) };
+    },
+    moveColumnLeft: (table, cell) => {
+        if (cell.col < 1) return null;
+        moveItem(table.aligns, cell.col, cell.col - 1);
+        table.rows.forEach(row => moveItem(row, cell.col, cell.col - 1));
+        return { row: cell.row, col: cell.col - 1, offset: cell.offset };
+    },
+    moveColumnRight: (table, cell) => {
+        if (cell.col >= table.aligns.length - 1) return null;
+        moveItem(table.aligns, cell.col, cell.col + 1);
+        table.rows.forEach(row => moveItem(row, cell.col, cell.col + 1));
+        return { row: cell.row, col: cell.col + 1, offset: cell.offset };
+    },
+    alignLeft: setColumnAlign('left'),
+    alignCenter: setColumnAlign('center'),
+    alignRight: setColumnAlign('right'),
+    alignNone: setColumnAlign(null)
+};
+
+// Called by Native App (tableCommand bridge message) and the shortcuts below.
+// insertTable works anywhere; pasteTable returns a Promise, see above; the
+// rest need the cursor in a table.
+function tableCommand(name, text) {
+    if (name === 'insertTable') return insertTable(editor);
+    if (name === 'pasteTable') return pasteTable(text);
+    const command = TABLE_COMMANDS[name];
+    if (!command) {
+        console.error("Unknown table command:", name);
+        return false;
+    }
+    return editor.operation(() => {
+        const found = tableAtCursor(editor, false);
+        if (!found) return false;
+        const cell = Object.assign({}, found.cell, { row: found.cell.row === -1 ? 0 : found.cell.row });
+        const target = command(found.table, cell);
+        if (!target) return false;
+        writeTable(editor, found.table, target);
+        return true;
+    });
+}
+
+// Table lines as a block of their own between `from` and `to`, with blank
+// lines where the surrounding line has other text
+function tableBlockText(cm, from, to, lines) {
+    const before = cm.getLine(from.line).slice(0, from.ch).trim() === '' ? '' : '\n\n';
+    const after = cm.getLine(to.line).slice(to.ch).trim() === '' ? '\n' : '\n\n';
+    return { text: before + lines.join('\n') + after, line: from.line + (before ? 2 : 0) };
+}
+
+function insertTable(cm) {
+    const table = {
+        aligns: [null, null],
+        rows: [['Column 1', 'Column 2'], ['', '']]
+    };
+    return cm.operation(() => {
+        const from = cm.getCursor('from');
+        const to = cm.getCursor('to');
+        const block = tableBlockText(cm, from, to, formatTable(table).lines);
+        cm.replaceRange(block.text, from, to, 'table');
+        table.start = block.line;
+        table.end = table.start + 2;
+        writeTable(cm, table, { row: 0, col: 0, select: true });
+        return true;
+    });
+}
+
+// --- Paste ---
+
+function parseCsvLine(line, separator) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === separator) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+// Rows of a TSV/CSV block, or null if the text does not look like one:
+// at least two lines and two columns, the same column count on every line.
+// separator: '\t' or ','; by default tabs when every line has one.
+function parseDelimitedText(text, separator) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+    if (lines.length < 2) return null;
+    separator = separator || (lines.every(line => line.indexOf('\t') !== -1) ? '\t' : ',');
+    const rows = lines.map(line => separator === '\t' ? line.split('\t') : parseCsvLine(line, ','));
+    const columns = rows[0].length;
+    if (columns < 2 || !rows.every(row => row.length === columns)) return null;
+    return rows.map(row => row.map(cell => cell.trim().replace(/\|/g, '\\|')));
+}
+
+// Clipboard rows worth turning into a table without being asked: data typed
+// as CSV / TSV, or plain text with tabs on every line
+function clipboardTableRows(data) {
+    const csv = data.getData('text/csv');
+    if (csv) return parseDelimitedText(csv, ',');
+    const tsv = data.getData('text/tab-separated-values');
+    if (tsv) return parseDelimitedText(tsv, '\t');
+    return parseDelimitedText(data.getData('text/plain') || '', '\t');
+}
+
+// Inserts rows as a table at the selection; false where a table can't go
+function insertTableRows(cm, rows) {
+    if (!rows || cm.listSelections().length > 1) return false;
+    const cursor = cm.getCursor('from');
+    if (findTable(cm, cursor.line) || isInFencedCode(cm, cursor.line)) return false;
+
+    const table = { aligns: rows[0].map(() => null), rows: rows };
+    cm.operation(() => {
+        const block = tableBlockText(cm, cursor, cm.getCursor('to'), formatTable(table).lines);
+        cm.replaceSelection(block.text, 'end', 'paste');
+    });
+    return true;
+}
+
+// Paste handler: returns true when the clipboard was inserted as a table
+function pasteAsTable(cm, event) {
+    const data = event.clipboardData || (event.originalEvent && event.originalEvent.clipboardData);
+    if (!data || !insertTableRows(cm, clipboardTableRows(data))) return false;
+    event.preventDefault();
+    return true;
+}
+
+// pasteTable command: tab or comma separated text as a table. Without text
+// the clipboard is read.
+function pasteTable(text) {
+    const read = typeof text === 'string' ? Promise.resolve(text)
+        : navigator.clipboard && navigator.clipboard.readText ? navigator.clipboard.readText()
+        : Promise.reject(bridgeError('unsupported', 'The clipboard cannot be read here'));
+    return read.then(value => insertTableRows(editor, parseDelimitedText(value)));
+}
+
+// --- Setup ---
+
+function tableKeyMap() {
+    const mod = /Mac/.test(navigator.platform) ? 'Cmd' : 'Ctrl';
+    const keyMap = {
+        'Tab': cm => tableTab(cm, 1),
+        'Shift-Tab': cm => tableTab(cm, -1),
+        'Enter': tableEnter
+    };
+    const shortcuts = {
+        'Alt-Up': 'moveRowUp',
+        'Alt-Down': 'moveRowDown',
+        'Alt-Left': 'moveColumnLeft',
+        'Alt-Right': 'moveColumnRight',
+        'Alt-Enter': 'insertRowBelow',
+        'Shift-Alt-Enter': 'insertRowAbove',
+        'Alt-Backspace': 'deleteRow',
+        'Shift-Alt-Backspace': 'deleteColumn'
+    };
+    Object.keys(shortcuts).forEach(key => {
+        keyMap[mod + '-' + key] = () => tableCommand(shortcuts[key]) ? undefined : CodeMirror.Pass;
+    });
+    return CodeMirror.normalizeKeyMap(keyMap);
+}
+
+function initTables() {
+    editor.addKeyMap(tableKeyMap()); // Added last, so it runs before the list Enter
+    editor.on('change', realignTableAfterChange);
+    onBridgeMessage('tableCommand', payload => {
+        return Promise.resolve(tableCommand(payload.command, payload.text)).then(applied => ({ applied: !!applied }));
+    });
+}
@@ -0,0 +1,126 @@
+// Task Lists
+// GFM task items (- [ ] todo / - [x] done): rendered as checkboxes in the
+// preview, where clicking one rewrites its source line. Enter continues a
+// task item unchecked (see the keymap in app.js) and the toggleTask command
+// flips the items under the cursors. The done/total count of the note is
+// reported to the host whenever it changes.
+
+const TASK_MARKER_REGEX = /^\[([ xX])\]\s+/;
+const TASK_LINE_REGEX = /^(\s*(?:>\s*)*(?:[*+-]|\d+[.)])\s+)\[([ xX])\](?=\s)/;
+
+let lastTaskProgress = null;
+
+// markdown-it plugin: list items starting with [ ] / [x] get a checkbox
+function markdownitTaskLists(md) {
+    md.core.ruler.after('inline', 'task_lists', function (state) {
+        const tokens = state.tokens;
+        for (let i = 2; i < tokens.length; i++) {
+            const inline = tokens[i];
+            if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open' ||
+                tokens[i - 2].type !== 'list_item_open') continue;
+
+            const first = inline.children[0];
+            const match = first && first.type === 'text' ? first.content.match(TASK_MARKER_REGEX) : null;
+            if (!match) continue;
+
+            first.content = first.content.slice(match[0].length);
+            const checkbox = new state.Token('task_checkbox', 'input', 0);
+            checkbox.meta = { checked: match[1] !== ' ' };
+            inline.children.unshift(checkbox);
+
+            const item = tokens[i - 2];
+            item.attrJoin('class', 'task-list-item');
+            // The enclosing list is the closest open list token before the item
+            for (let j = i - 3; j >= 0; j--) {
+                if ((tokens[j].type === 'bullet_list_open' || tokens[j].type === 'ordered_list_open') &&
+                    tokens[j].level === item.level - 1) {
+                    if ((tokens[j].attrGet('class') || '').indexOf('contains-task-list') === -1) {
+                        tokens[j].attrJoin('class', 'contains-task-list');
+                    }
+                    break;
+                }
+            }
+        }
+    });
+
+    md.renderer.rules.task_checkbox = function (tokens, idx) {
+        return '<input type="checkbox" class="task-list-item-checkbox"' +
+            (tokens[idx].meta.checked ? ' checked' : '') + '> ';
+    };
+}
+
+// --- Editing ---
+
+function isTaskLine(text) {
+    return TASK_LINE_REGEX.test(text);
+}
+
+function setTaskChecked(line, checked) {
+    const text = editor.getLine(line);
+    const match = text && text.match(TASK_LINE_REGEX);
+    if (!match) return false;
+    const ch = match[1].length + 1;
+    editor.replaceRange(checked ? 'x' : ' ', { line: line, ch: ch }, { line: line, ch: ch + 1 }, 'task');
+    return true;
+}
+
+// Flips the task items under every cursor; other lines become unchecked tasks
+function toggleTaskItems(cm) {
+    const lines = contentLines(cm, selectedLines(cm));
+    if (!lines.every(line => isTaskLine(cm.getLine(line)))) {
+        return toggleList(cm, 'task');
+    }
+    // Mixed selections are all checked first, like a tri-state checkbox
+    const check = !lines.every(line => cm.getLine(line).match(TASK_LINE_REGEX)[2] !== ' ');
+    lines.forEach(line => setTaskChecked(line, check));
+    return true;
+}
+
+// Preview checkbox -> source line (block base + relative data-line)
+function handleTaskCheckboxClick(e) {
+    const checkbox = e.target;
+    if (!checkbox.classList || !checkbox.classList.contains('task-list-item-checkbox')) return;
+    const item = checkbox.closest('[data-line]');
+    const block = checkbox.closest('[data-line-start]');
+    if (!item || !block) return;
+
+    const line = parseInt(block.dataset.lineStart, 10) + parseInt(item.dataset.line, 10);
+    if (!setTaskChecked(line, checkbox.checked)) {
+        // The source moved on since the last render
+        checkbox.checked = !checkbox.checked;
+    }
+}
+
+// --- Progress ---
+
+function taskProgress(text) {
+    let done = 0;
+    let total = 0;
+    let fence = null;
+    text.split('\n').forEach(line => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1];
+            else if (fence === fenceMatch[1]) fence = null;
+            return;
+        }
+        if (fence) return;
+        const match = line.match(TASK_LINE_REGEX);
+        if (!match) return;
+        total++;
+        if (match[2] !== ' ') done++;
+    });
+    return { done: done, total: total };
+}
+
+function reportTaskProgress() {
+    const progress = taskProgress(editor.getValue());
+    if (lastTaskProgress && lastTaskProgress.done === progress.done && lastTaskProgress.total === progress.total) return;
+    lastTaskProgress = progress;
+    bridgeSend('taskProgress', progress);
+}
+
+function initTaskLists() {
+    document.getElementById('preview').addEventListener('change', handleTaskCheckboxClick);
+    onBridgeMessage('getTaskProgress', () => taskProgress(editor.getValue()));
+}
@@ -0,0 +1,375 @@
+// Themes
+// A theme is a bundle covering every surface of the page:
+//
+//   {
+//     id: 'nord', name: 'Nord', appearance: 'dark',     // light | dark
+//     extends: 'dark',                // Optional base, defaults to the appearance
+//     colors: { background, text, accent, border, codeBackground, quoteBorder,
+//               selection, sidebar, error, errorBackground },
+//     fonts: { body, mono },
+//     variables: { '--any-css-variable': value },
+//     editor: { theme: 'dracula' } or token colors { header, strong, link, ... },
+//     code: { stylesheet: 'lib/highlight/x.css' } or token colors { keyword, string, ... },
+//     mermaid: { theme: 'base', variables: { primaryColor, ... } },
+//     canvas: { color },              // Default pen color
+//     css: '...'                      // Extra rules, e.g. branding
+//   }
+//
+// colors, fonts and variables are merged key by key with the base theme; the
+// other sections replace the base's when given. Token colors become CSS
+// variables read by the "themed" CodeMirror theme and highlight.js rules in
+// style.css, so switching never re-creates the editor.
+//
+// The host picks a theme with setTheme (a theme id, or 'system' to follow
+// the system appearance) and adds its own with registerTheme or the
+// listThemes request.
+
+const THEME_ID_REGEX = /^[\w-]+$/;
+const THEME_SECTIONS = ['editor', 'code', 'mermaid', 'canvas'];
+
+const THEME_COLOR_VARIABLES = {
+    background: '--bg-color',
+    text: '--text-color',
+    accent: '--accent-color',
+    border: '--border-color',
+    codeBackground: '--code-bg',
+    quoteBorder: '--quote-border',
+    selection: '--selection-color',
+    sidebar: '--sidebar-bg',
+    error: '--error-color',
+    errorBackground: '--error-bg'
+};
+
+const THEME_FONT_VARIABLES = { body: '--font-sans', mono: '--font-mono' };
+
+const BUILT_IN_THEMES = [
+    {
+        id: 'light', name: 'Light', appearance: 'light',
+        editor: { theme: 'xq-light' },
+        code: { stylesheet: 'lib/highlight/github.min.css' },
+        mermaid: { theme: 'default' },
+        canvas: { color: 'rgba(220, 50, 50, 0.9)' }
+    },
+    {
+        id: 'dark', name: 'Dark', appearance: 'dark',
+        editor: { theme: 'dracula' },
+        code: { stylesheet: 'lib/highlight/github-dark.min.css' },
+        mermaid: { theme: 'dark' },
+        canvas: { color: 'rgba(255, 121, 121, 0.9)' }
+    },
+    {
+        id: 'solarized-light', name: 'Solarized Light', appearance: 'light',
+        colors: {
+            background: '#fdf6e3', text: '#586e75', accent: '#268bd2', border: '#eee8d5',
+            codeBackground: '#eee8d5', quoteBorder: '#93a1a1', selection: '#eee8d5', sidebar: '#eee8d5'
+        },
+        editor: {
+            text: '#657b83', cursor: '#586e75', activeLine: 'rgba(238, 232, 213, 0.6)', header: '#cb4b16',
+            strong: '#586e75', emphasis: '#586e75', link: '#268bd2', url: '#93a1a1', quote: '#93a1a1',
+            comment: '#93a1a1', list: '#b58900', code: '#2aa198', keyword: '#859900', string: '#2aa198',
+            number: '#d33682', tag: '#268bd2', attribute: '#b58900'
+        },
+        code: {
+            text: '#657b83', keyword: '#859900', string: '#2aa198', number: '#d33682', comment: '#93a1a1',
+            title: '#268bd2', attribute: '#b58900', builtIn: '#cb4b16', meta: '#6c71c4',
+            addition: '#859900', deletion: '#dc322f'
+        },
+        mermaid: {
+            theme: 'base',
+            variables: {
+                background: '#fdf6e3', primaryColor: '#eee8d5', primaryTextColor: '#586e75',
+                primaryBorderColor: '#93a1a1', lineColor: '#657b83', secondaryColor: '#fdf6e3',
+                tertiaryColor: '#eee8d5', noteBkgColor: '#fdf6e3', noteTextColor: '#586e75'
+            }
+        },
+        canvas: { color: '#dc322f' }
+    },
+    {
+        id: 'solarized-dark', name: 'Solarized Dark', appearance: 'dark',
+        colors: {
+            background: '#002b36', text: '#93a1a1', accent: '#268bd2', border: '#073642',
+            codeBackground: '#073642', quoteBorder: '#586e75', selection: '#073642', sidebar: '#073642'
+        },
+        editor: {
+            text: '#839496', cursor: '#93a1a1', activeLine: 'rgba(7, 54, 66, 0.6)', header: '#cb4b16',
+            strong: '#93a1a1', emphasis: '#93a1a1', link: '#268bd2', url: '#586e75', quote: '#586e75',
+            comment: '#586e75', list: '#b58900', code: '#2aa198', keyword: '#859900', string: '#2aa198',
+            number: '#d33682', tag: '#268bd2', attribute: '#b58900'
+        },
+        code: {
+            text: '#839496', keyword: '#859900', string: '#2aa198', number: '#d33682', comment: '#586e75',
+            title: '#268bd2', attribute: '#b58900', builtIn: '#cb4b16', meta: '#6c71c4',
+            addition: '#859900', deletion: '#dc322f'
+        },
+        mermaid: {
+            theme: 'base',
+            variables: {
+                darkMode: true, background: '#002b36', primaryColor: '#073642', primaryTextColor: '#93a1a1',
+                primaryBorderColor: '#586e75', lineColor: '#839496', secondaryColor: '#002b36',
+                tertiaryColor: '#073642', noteBkgColor: '#073642', noteTextColor: '#93a1a1'
+            }
+        },
+        canvas: { color: '#dc322f' }
+    },
+    {
+        id: 'nord', name: 'Nord', appearance: 'dark',
+        colors: {
+            background: '#2e3440', text: '#d8dee9', accent: '#88c0d0', border: '#3b4252',
+            codeBackground: '#3b4252', quoteBorder: '#4c566a', selection: '#434c5e', sidebar: '#3b4252',
+            error: '#bf616a', errorBackground: 'rgba(191, 97, 106, 0.15)'
+        },
+        editor: {
+            text: '#d8dee9', cursor: '#d8dee9', activeLine: 'rgba(59, 66, 82, 0.6)', header: '#88c0d0',
+            strong: '#eceff4', emphasis: '#e5e9f0', link: '#88c0d0', url: '#4c566a', quote: '#81a1c1',
+            comment: '#616e88', list: '#ebcb8b', code: '#a3be8c', keyword: '#81a1c1', string: '#a3be8c',
+            number: '#b48ead', tag: '#81a1c1', attribute: '#8fbcbb'
+        },
+        code: {
+            text: '#d8dee9', keyword: '#81a1c1', string: '#a3be8c', number: '#b48ead', comment: '#616e88',
+            title: '#88c0d0', attribute: '#8fbcbb', builtIn: '#8fbcbb', meta: '#5e81ac',
+            addition: '#a3be8c', deletion: '#bf616a'
+        },
+        mermaid: {
+            theme: 'base',
+            variables: {
+                darkMode: true, background: '#2e3440', primaryColor: '#3b4252', primaryTextColor: '#eceff4',
+                primaryBorderColor: '#4c566a', lineColor: '#d8dee9', secondaryColor: '#434c5e',
+                tertiaryColor: '#3b4252', noteBkgColor: '#434c5e', noteTextColor: '#eceff4'
+            }
+        },
+        canvas: { color: '#ebcb8b' }
+    },
+    {
+        id: 'high-contrast', name: 'High Contrast', appearance: 'dark',
+        colors: {
+            background: '#000000', text: '#ffffff', accent: '#ffd700', border: '#ffffff',
+            codeBackground: '#1a1a1a', quoteBorder: '#ffffff', selection: '#1f3a93', sidebar: '#000000',
+            error: '#ff6b6b', errorBackground: '#330000'
+        },
+        editor: {
+            text: '#ffffff', cursor: '#ffd700', activeLine: '#1a1a1a', header: '#ffd700',
+            strong: '#ffffff', emphasis: '#ffffff', link: '#00e5ff', url: '#b0b0b0', quote: '#e0e0e0',
+            comment: '#b0b0b0', list: '#ffd700', code: '#7fff7f', keyword: '#ff9eff', string: '#7fff7f',
+            number: '#ffd700', tag: '#00e5ff', attribute: '#ffd700'
+        },
+        code: {
+            text: '#ffffff', keyword: '#ff9eff', string: '#7fff7f', number: '#ffd700', comment: '#b0b0b0',
+            title: '#00e5ff', attribute: '#ffd700', builtIn: '#00e5ff', meta: '#ff9eff',
+            addition: '#7fff7f', deletion: '#ff6b6b'
+        },
+        mermaid: {
+            theme: 'base',
+            variables: {
+                darkMode: true, background: '#000000', primaryColor: '#000000', primaryTextColor: '#ffffff',
+                primaryBorderColor: '#ffffff', lineColor: '#ffffff', secondaryColor: '#1a1a1a',
+                tertiaryColor: '#1a1a1a', noteBkgColor: '#1a1a1a', noteTextColor: '#ffffff'
+            }
+        },
+        canvas: { color: '#ffd700' },
+        css: '.markdown-body a { text-decoration: underline; }'
+    }
+];
+
+const themes = new Map();       // id -> bundle as registered
+let activeTheme = null;         // Resolved bundle
+let themeFollowsSystem = false;
+let systemThemes = { light: 'light', dark: 'dark' };
+let userThemesRequest = null;   // Promise of the host's listThemes answer
+let mermaidThemeKey = 'default'; // Part of the Mermaid cache key, see preview.js
+
+// --- Registry ---
+
+function registerTheme(theme) {
+    if (!theme || typeof theme !== 'object') throw bridgeError('invalid', 'A theme must be an object');
+    if (typeof theme.id !== 'string' || !THEME_ID_REGEX.test(theme.id)) {
+        throw bridgeError('invalid', `Invalid theme id "${theme.id}"`);
+    }
+    if (theme.appearance !== 'light' && theme.appearance !== 'dark') {
+        throw bridgeError('invalid', `Theme "${theme.id}" needs an appearance of light or dark`);
+    }
+    const base = theme.extends || theme.appearance;
+    if (base !== theme.id && !themes.has(base)) throw bridgeError('invalid', `Unknown base theme "${base}"`);
+
+    themes.set(theme.id, theme);
+    if (activeTheme && activeTheme.id === theme.id) applyTheme(theme.id); // Edited in place
+    return { id: theme.id };
+}
+
+// Bundle with its base themes folded in
+function resolveTheme(id, seen) {
+    const theme = themes.get(id);
+    const baseId = theme.extends || theme.appearance;
+    if (baseId === id || (seen && seen.has(baseId))) {
+        return Object.assign({}, theme, {
+            colors: Object.assign({}, theme.colors),
+            fonts: Object.assign({}, theme.fonts),
+            variables: Object.assign({}, theme.variables)
+        });
+    }
+
+    const base = resolveTheme(baseId, (seen || new Set()).add(id));
+    const resolved = Object.assign({}, base, theme);
+    ['colors', 'fonts', 'variables'].forEach(key => {
+        resolved[key] = Object.assign({}, base[key], theme[key]);
+    });
+    THEME_SECTIONS.forEach(key => { resolved[key] = theme[key] || base[key]; });
+    resolved.css = [base.css, theme.css].filter(Boolean).join('\n');
+    return resolved;
+}
+
+function themeSummaries() {
+    return Array.from(themes.values()).map(theme => ({
+        id: theme.id,
+        name: theme.name || theme.id,
+        appearance: theme.appearance,
+        builtIn: BUILT_IN_THEMES.indexOf(theme) !== -1
+    }));
+}
+
+// --- Applying ---
+
+// camelCase key -> --prefix-kebab-case
+function themeVariableName(prefix, key) {
+    return `--${prefix}-` + key.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase());
+}
+
+function themeCss(theme) {
+    const declarations = [];
+    const add = (name, value) => {
+        if (value !== undefined && value !== null && value !== '') declarations.push(`    ${name}: ${value};`);
+    };
+    Object.keys(THEME_COLOR_VARIABLES).forEach(key => add(THEME_COLOR_VARIABLES[key], theme.colors[key]));
+    Object.keys(THEME_FONT_VARIABLES).forEach(key => add(THEME_FONT_VARIABLES[key], theme.fonts[key]));
+    Object.keys(theme.variables).forEach(name => { if (/^--[\w-]+$/.test(name)) add(name, theme.variables[name]); });
+    if (theme.editor && !theme.editor.theme) {
+        Object.keys(theme.editor).forEach(key => add(themeVariableName('cm', key), theme.editor[key]));
+    }
+    if (theme.code && !theme.code.stylesheet) {
+        Object.keys(theme.code).forEach(key => add(themeVariableName('hl', key), theme.code[key]));
+    }
+
+    // Screen only: printing keeps its own light palette (style.css)
+    let css = '';
+    if (declarations.length) css += `@media screen {\nbody[data-theme="${theme.id}"] {\n${declarations.join('\n')}\n}\n}\n`;
+    if (theme.css) css += theme.css + '\n';
+    return css;
+}
+
+function applyMermaidTheme(theme) {
+    const config = theme.mermaid || { theme: theme.appearance === 'dark' ? 'dark' : 'default' };
+    mermaid.initialize({
+        startOnLoad: false,
+        theme: config.theme || 'default',
+        themeVariables: config.variables || {},
+        securityLevel: noteTrusted ? 'loose' : 'strict' // See sanitize.js
+    });
+    mermaidThemeKey = JSON.stringify(config) + (noteTrusted ? ' trusted' : '');
+}
+
+function applyCanvasTheme(theme, previous) {
+    const color = theme.canvas && theme.canvas.color;
+    const previousColor = previous && previous.canvas && previous.canvas.color;
+    // Only replace the default; a color the user picked stays
+    if (color && (!previous || canvasStyle.color === previousColor)) canvasStyle.color = color;
+}
+
+function applyTheme(id) {
+    const previous = activeTheme;
+    const theme = resolveTheme(id);
+    const body = document.body;
+
+    let style = document.getElementById('theme-style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'theme-style';
+        document.head.appendChild(style);
+    }
+    style.textContent = themeCss(theme);
+
+    body.dataset.theme = theme.id;
+    body.classList.toggle('theme-dark', theme.appearance === 'dark');
+    body.classList.toggle('theme-light', theme.appearance !== 'dark');
+
+    editor.setOption('theme', theme.editor && theme.editor.theme ? theme.editor.theme : 'themed');
+
+    const codeSheet = document.getElementById('hljs-theme');
+    const stylesheet = theme.code && theme.code.stylesheet;
+    if (stylesheet && codeSheet.getAttribute('href') !== stylesheet) codeSheet.setAttribute('href', stylesheet);
+    codeSheet.disabled = !stylesheet;
+    body.classList.toggle('hljs-themed', !stylesheet);
+
+    applyMermaidTheme(theme);
+    applyCanvasTheme(theme, previous);
+    activeTheme = theme;
+
+    if (previous) refreshPreview(); // Mermaid SVG is cached per theme
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { id: theme.id, appearance: theme.appearance } }));
+}
+
+// --- Host ---
+
+function systemPrefersDark() {
+    return !!(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+}
+
+function loadUserThemes() {
+    if (userThemesRequest) return userThemesRequest;
+    if (!hostSupports('listThemes')) return Promise.resolve();
+    userThemesRequest = bridgeRequest('listThemes').then(result => {
+        (Array.isArray(result.themes) ? result.themes : []).forEach(theme => {
+            try {
+                registerTheme(theme);
+            } catch (e) { console.warn("Themes:", e.message); }
+        });
+    }).catch(e => console.warn("Themes: user themes unavailable", e.message));
+    return userThemesRequest;
+}
+
+// Called by Native App. name: a theme id or 'system'; options.light /
+// options.dark choose the themes used for each system appearance.
+function setTheme(name, options) {
+    options = options || {};
+    if (name === 'system') {
+        themeFollowsSystem = true;
+        systemThemes = { light: options.light || systemThemes.light, dark: options.dark || systemThemes.dark };
+        name = systemPrefersDark() ? systemThemes.dark : systemThemes.light;
+    } else {
+        themeFollowsSystem = false;
+    }
+    if (themes.has(name)) {
+        applyTheme(name);
+        return Promise.resolve({ theme: name });
+    }
+    // Possibly a user theme the host has not sent yet
+    return loadUserThemes().then(() => {
+        if (!themes.has(name)) throw bridgeError('invalid', `Unknown theme "${name}"`);
+        applyTheme(name);
+        return { theme: name };
+    });
+}
+
+function followSystemAppearance() {
+    if (!themeFollowsSystem) return;
+    const name = systemPrefersDark() ? systemThemes.dark : systemThemes.light;
+    if (themes.has(name) && (!activeTheme || activeTheme.id !== name)) applyTheme(name);
+}
+
+function initThemes() {
+    BUILT_IN_THEMES.forEach(registerTheme);
+    applyTheme(document.body.classList.contains('theme-dark') ? 'dark' : 'light');
+
+    if (window.matchMedia) {
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        if (query.addEventListener) query.addEventListener('change', followSystemAppearance);
+        else if (query.addListener) query.addListener(followSystemAppearance); // Safari 13
+    }
+    document.addEventListener('bridgeready', loadUserThemes);
+
+    onBridgeMessage('setTheme', payload => setTheme(payload.theme, payload));
+    onBridgeMessage('registerTheme', payload => registerTheme(payload.theme));
+    onBridgeMessage('getThemes', () => ({
+        themes: themeSummaries(),
+        active: activeTheme.id,
+        followSystem: themeFollowsSystem
+    }));
+}
@@ -0,0 +1,267 @@
+// Image Uploads
+// Every pasted, dropped or inlined (base64) image becomes a tracked upload:
+// a placeholder is inserted at the target position and covered by a widget
+// showing progress, and later errors with Retry / Cancel. The host saves
+// the image in answer to a `saveImage` bridge request (bridge.js) and replies
+// with its path or an error. Placeholders are always edited through
+// their CodeMirror mark, never by rewriting the whole document, so cursor
+// and undo history survive.
+//
+// Placeholder text: ![Uploading name...](upload-<id>)
+// Older notes may still contain ![Uploading Image...](img_<timestamp>).
+
+const UPLOAD_TIMEOUT_MS = 30000;
+
+const uploads = new Map(); // id -> upload, see createUpload
+let uploadCounter = 0;
+
+// Unique even for several images arriving in the same millisecond
+function newUploadId() {
+    uploadCounter++;
+    return 'upload-' + Date.now().toString(36) + '-' + uploadCounter.toString(36) +
+        Math.random().toString(36).slice(2, 6);
+}
+
+function placeholderRegex() {
+    return /!\[Uploading ([^\]\n]*)\.\.\.\]\(((?:upload-|img_)[\w-]+)\)/g;
+}
+
+function isUploadPlaceholder(src) {
+    return /^(upload-|img_)[\w-]+$/.test(src);
+}
+
+function placeholderText(upload) {
+    return `![Uploading ${upload.name}...](${upload.id})`;
+}
+
+function sanitizeAltText(text) {
+    return String(text || 'Image').replace(/[\[\]\n]/g, ' ').replace(/\.[a-z0-9]+$/i, '').trim() || 'Image';
+}
+
+function createUpload(id, name) {
+    const upload = {
+        id: id,
+        name: sanitizeAltText(name),
+        base64: null,      // Kept until the upload succeeds, for Retry
+        status: 'reading', // reading | saving | failed
+        progress: 0,
+        error: null,
+        mark: null,
+        widget: null,
+        attempt: 0         // Replies to an older attempt are ignored
+    };
+    uploads.set(id, upload);
+    return upload;
+}
+
+// --- Placeholder & widget ---
+
+function insertPlaceholder(upload, from, to) {
+    const text = placeholderText(upload);
+    from = editor.clipPos(from);
+    editor.replaceRange(text, from, to || from, 'upload');
+    // The change handler may already have picked it up (syncUploadPlaceholders)
+    if (!upload.mark) attachUploadMark(upload, from, { line: from.line, ch: from.ch + text.length });
+}
+
+function attachUploadMark(upload, from, to) {
+    upload.widget = document.createElement('span');
+    upload.widget.className = 'upload-widget';
+    upload.widget.contentEditable = false;
+    upload.mark = editor.markText(from, to, {
+        replacedWith: upload.widget,
+        atomic: true
+    });
+    const mark = upload.mark;
+    mark.on('clear', () => {
+        // Text replaced or deleted; syncUploadPlaceholders decides what is left
+        if (upload.mark === mark) upload.mark = null;
+    });
+    renderUploadWidget(upload);
+}
+
+function renderUploadWidget(upload) {
+    const widget = upload.widget;
+    if (!widget) return;
+    widget.innerHTML = '';
+    widget.classList.toggle('failed', upload.status === 'failed');
+
+    const label = document.createElement('span');
+    label.className = 'upload-label';
+    widget.appendChild(label);
+
+    if (upload.status === 'failed') {
+        label.textContent = `${upload.name}: ${upload.error}`;
+        if (upload.base64) {
+            widget.appendChild(uploadButton('Retry', () => retryUpload(upload.id)));
+        }
+        widget.appendChild(uploadButton(upload.base64 ? 'Cancel' : 'Remove', () => cancelUpload(upload.id)));
+    } else {
+        label.textContent = upload.status === 'reading' ? `Reading ${upload.name}…` : `Uploading ${upload.name}…`;
+        const bar = document.createElement('span');
+        bar.className = 'upload-progress';
+        const fill = document.createElement('span');
+        fill.className = 'upload-progress-fill';
+        fill.style.width = Math.round(upload.progress * 100) + '%';
+        bar.appendChild(fill);
+        widget.appendChild(bar);
+        widget.appendChild(uploadButton('Cancel', () => cancelUpload(upload.id)));
+    }
+    if (upload.mark) upload.mark.changed();
+}
+
+function uploadButton(title, action) {
+    const button = document.createElement('button');
+    button.className = 'upload-button';
+    button.textContent = title;
+    button.addEventListener('mousedown', e => {
+        e.preventDefault(); // Keep the editor focus and cursor
+        e.stopPropagation();
+    });
+    button.addEventListener('click', e => {
+        e.stopPropagation();
+        action();
+    });
+    return button;
+}
+
+// --- Lifecycle ---
+
+function setUploadStatus(upload, status, changes) {
+    Object.assign(upload, { status: status }, changes || {});
+    renderUploadWidget(upload);
+}
+
+function sendUpload(upload) {
+    const attempt = ++upload.attempt;
+    const current = () => uploads.get(upload.id) === upload && upload.attempt === attempt;
+    setUploadStatus(upload, 'saving', { progress: Math.max(upload.progress, 0.5), error: null });
+
+    bridgeRequest('saveImage', { id: upload.id, base64: upload.base64 }, UPLOAD_TIMEOUT_MS)
+        .then(result => {
+            if (!current()) return; // Cancelled, or placeholder deleted
+            if (typeof result.path !== 'string' || !result.path) throw new Error('No path returned');
+            removePlaceholder(upload, `![${upload.name}](${result.path})`);
+        })
+        .catch(e => {
+            if (!current()) return;
+            console.error("Image upload:", e);
+            failUpload(upload, e.code === 'timeout' ? 'Timed out' : e.message);
+        });
+}
+
+function failUpload(upload, message) {
+    if (uploads.get(upload.id) !== upload) return;
+    setUploadStatus(upload, 'failed', { error: message || 'Upload failed' });
+}
+
+// Removes the placeholder text (one undo step) and the upload
+function removePlaceholder(upload, replacement) {
+    const range = upload.mark ? upload.mark.find() : null;
+    forgetUpload(upload);
+    if (upload.mark) upload.mark.clear();
+    if (range) editor.replaceRange(replacement, range.from, range.to, 'upload');
+}
+
+function forgetUpload(upload) {
+    uploads.delete(upload.id);
+}
+
+// Reads a File/Blob and uploads it, placeholder at `pos`
+function uploadImageFile(file, pos) {
+    const upload = createUpload(newUploadId(), file.name || 'Image');
+    insertPlaceholder(upload, pos);
+
+    const reader = new FileReader();
+    reader.onprogress = function (event) {
+        if (!event.lengthComputable || !uploads.has(upload.id)) return;
+        setUploadStatus(upload, 'reading', { progress: event.loaded / event.total * 0.5 });
+    };
+    reader.onload = function (event) {
+        if (!uploads.has(upload.id)) return; // Cancelled while reading
+        upload.base64 = event.target.result.split(',')[1]; // Remove data:image... prefix
+        sendUpload(upload);
+    };
+    reader.onerror = function () {
+        failUpload(upload, 'Could not read the file');
+    };
+    reader.readAsDataURL(file);
+    return upload;
+}
+
+// Several files dropped at once: one placeholder per image, each on its own line
+function uploadImageFiles(files, pos) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    editor.operation(() => {
+        images.forEach((file, i) => {
+            if (i > 0) {
+                editor.replaceRange('\n', pos, null, 'upload');
+                pos = { line: pos.line + 1, ch: 0 };
+            }
+            pos = uploadImageFile(file, pos).mark.find().to;
+        });
+        if (images.length) editor.setCursor(pos);
+    });
+    return images.length;
+}
+
+// Swaps an inlined base64 image in the text for a tracked upload
+function uploadInlineImage(from, to, altText, base64) {
+    const upload = createUpload(newUploadId(), altText);
+    upload.base64 = base64;
+    insertPlaceholder(upload, from, to);
+    sendUpload(upload);
+}
+
+function retryUpload(id) {
+    const upload = uploads.get(id);
+    if (upload && upload.base64) sendUpload(upload);
+}
+
+function cancelUpload(id) {
+    const upload = uploads.get(id);
+    if (upload) removePlaceholder(upload, '');
+}
+
+// Matches uploads to the placeholders in the text after every change:
+// - a placeholder whose mark was lost (document reloaded) gets its widget back
+// - a placeholder no upload owns (app closed mid-upload, undo after cancel)
+//   can never complete and is shown as failed, so it can be removed
+// - an upload whose placeholder was deleted is dropped
+function syncUploadPlaceholders() {
+    const seen = new Set();
+    const regex = placeholderRegex();
+    for (let i = 0; i < editor.lineCount(); i++) {
+        const lineText = editor.getLine(i);
+        if (lineText.indexOf('![Uploading ') === -1) continue;
+        let match;
+        while ((match = regex.exec(lineText)) !== null) {
+            const from = { line: i, ch: match.index };
+            const to = { line: i, ch: match.index + match[0].length };
+            let upload = uploads.get(match[2]);
+            seen.add(match[2]);
+            if (upload && upload.mark && upload.mark.find()) continue;
+
+            if (upload) {
+                attachUploadMark(upload, from, to);
+            } else {
+                upload = createUpload(match[2], match[1]);
+                attachUploadMark(upload, from, to);
+                failUpload(upload, 'Upload was interrupted');
+            }
+        }
+    }
+    uploads.forEach(upload => {
+        if (!seen.has(upload.id)) {
+            if (upload.mark) upload.mark.clear();
+            forgetUpload(upload);
+        }
+    });
+}
+
+// Optional: the host may report progress of large saves (0…1)
+onBridgeMessage('imageUploadProgress', payload => {
+    const upload = uploads.get(payload.id);
+    if (!upload || upload.status !== 'saving') return;
+    setUploadStatus(upload, 'saving', { progress: 0.5 + Math.min(Math.max(payload.fraction, 0), 1) * 0.5 });
+});
@@ -0,0 +1,250 @@
+// Wiki Links
+// [[Note Title]], [[Note Title#Heading]] and [[Note Title|label]] link to
+// other notes. In the preview they render as a.wikilink; clicking one asks
+// the host to open the note (openNote), or jumps to the heading for
+// [[#Heading]]. Typing [[ in the editor suggests titles from the host's note
+// list. The host can also push the notes linking here (setBacklinks), shown
+// below the preview.
+
+const WIKILINK_SUGGESTION_LIMIT = 8;
+const WIKILINK_QUERY_REGEX = /\[\[([^\[\]|#\n]*)$/;
+
+let noteTitles = [];      // From the host (listNotes / setNoteList)
+let noteTitlesLoaded = false;
+let wikilinkHint = null;  // Open suggestion list: { element, items, selected, from, keyMap }
+
+// "Note#Heading|label" -> { note, heading, label }
+function parseWikiLink(inner) {
+    const bar = inner.indexOf('|');
+    const target = bar === -1 ? inner : inner.slice(0, bar);
+    const hash = target.indexOf('#');
+    return {
+        note: (hash === -1 ? target : target.slice(0, hash)).trim(),
+        heading: hash === -1 ? '' : target.slice(hash + 1).trim(),
+        label: bar === -1 ? '' : inner.slice(bar + 1).trim()
+    };
+}
+
+function wikiLinkLabel(link) {
+    if (link.label) return link.label;
+    if (!link.heading) return link.note;
+    return link.note ? `${link.note} › ${link.heading}` : link.heading;
+}
+
+function isKnownNote(title) {
+    const lower = title.toLowerCase();
+    return noteTitles.some(known => known.toLowerCase() === lower);
+}
+
+// --- markdown-it plugin ---
+
+function markdownitWikiLinks(md) {
+    md.inline.ruler.before('link', 'wikilink', function (state, silent) {
+        const src = state.src;
+        const start = state.pos;
+        if (src.charCodeAt(start) !== 0x5B /* [ */ || src.charCodeAt(start + 1) !== 0x5B) return false;
+        const end = src.indexOf(']]', start + 2);
+        if (end === -1) return false;
+        const inner = src.slice(start + 2, end);
+        if (!inner.trim() || /[\[\]\n]/.test(inner)) return false;
+
+        const link = parseWikiLink(inner);
+        if (!link.note && !link.heading) return false;
+        if (!silent) {
+            const token = state.push('wikilink', 'a', 0);
+            token.meta = link;
+            token.content = inner;
+        }
+        state.pos = end + 2;
+        return true;
+    });
+
+    md.renderer.rules.wikilink = function (tokens, idx) {
+        const link = tokens[idx].meta;
+        const escape = md.utils.escapeHtml;
+        // Only flag missing notes once the host told us which exist
+        const missing = link.note && noteTitlesLoaded && !isKnownNote(link.note);
+        return `<a href="#" class="wikilink${missing ? ' wikilink-missing' : ''}"` +
+            ` data-note="${escape(link.note)}" data-heading="${escape(link.heading)}">` +
+            escape(wikiLinkLabel(link)) + '</a>';
+    };
+}
+
+// --- Navigation ---
+
+function openWikiLink(note, heading) {
+    if (!note) {
+        // Same note: [[#Heading]]
+        const slug = headingSlug(heading);
+        const target = outlineHeadings.find(h => h.slug === slug || h.text === heading);
+        if (target) jumpToHeading(target);
+        return;
+    }
+    const payload = { title: note };
+    if (heading) payload.heading = heading;
+    bridgeSend('openNote', payload);
+}
+
+function handleWikiLinkClick(e) {
+    const link = e.target.closest('a.wikilink');
+    if (!link) return;
+    e.preventDefault();
+    e.stopPropagation(); // Not an in-page #anchor (outline.js)
+    openWikiLink(link.dataset.note, link.dataset.heading);
+}
+
+// --- Note list ---
+
+function setNoteTitles(notes) {
+    noteTitles = notes
+        .map(note => typeof note === 'string' ? note : note && note.title)
+        .filter(title => typeof title === 'string' && title.trim() !== '')
+        .map(title => title.replace(/\.md$/i, ''));
+    noteTitlesLoaded = true;
+    updatePreview(); // Missing-note styling depends on the list
+}
+
+function loadNoteTitles() {
+    if (!hostSupports('listNotes')) return Promise.resolve(noteTitles);
+    return bridgeRequest('listNotes').then(result => {
+        setNoteTitles(Array.isArray(result.notes) ? result.notes : []);
+        return noteTitles;
+    }).catch(e => {
+        console.warn("Wiki links: note list unavailable", e.message);
+        return noteTitles;
+    });
+}
+
+// --- Autocomplete ---
+
+function matchingNoteTitles(query) {
+    const lower = query.trim().toLowerCase();
+    const prefix = [];
+    const contains = [];
+    noteTitles.forEach(title => {
+        const index = title.toLowerCase().indexOf(lower);
+        if (index === 0) prefix.push(title);
+        else if (index > 0) contains.push(title);
+    });
+    return prefix.concat(contains).slice(0, WIKILINK_SUGGESTION_LIMIT);
+}
+
+function closeWikiLinkHint() {
+    if (!wikilinkHint) return;
+    editor.removeKeyMap(wikilinkHint.keyMap);
+    wikilinkHint.element.remove();
+    wikilinkHint = null;
+}
+
+function selectWikiLinkHint(index) {
+    const count = wikilinkHint.items.length;
+    wikilinkHint.selected = (index + count) % count;
+    Array.from(wikilinkHint.element.children).forEach((item, i) => {
+        item.classList.toggle('selected', i === wikilinkHint.selected);
+        if (i === wikilinkHint.selected && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+// Replaces the typed query with the title and closes the brackets
+function acceptWikiLinkHint(title) {
+    const from = wikilinkHint.from;
+    closeWikiLinkHint();
+    editor.operation(() => {
+        const cursor = editor.getCursor();
+        const after = editor.getRange(cursor, { line: cursor.line, ch: cursor.ch + 2 });
+        editor.replaceRange(title + (after === ']]' ? '' : ']]'), from, cursor, 'wikilink');
+        editor.setCursor({ line: from.line, ch: from.ch + title.length + 2 });
+    });
+}
+
+function showWikiLinkHint(from, titles) {
+    closeWikiLinkHint();
+    const list = document.createElement('ul');
+    list.className = 'wikilink-hints';
+    titles.forEach(title => {
+        const item = document.createElement('li');
+        item.textContent = title;
+        item.addEventListener('mousedown', e => {
+            e.preventDefault(); // Keep the editor focused
+            acceptWikiLinkHint(title);
+        });
+        list.appendChild(item);
+    });
+
+    const keyMap = {
+        'Up': () => selectWikiLinkHint(wikilinkHint.selected - 1),
+        'Down': () => selectWikiLinkHint(wikilinkHint.selected + 1),
+        'Enter': () => acceptWikiLinkHint(wikilinkHint.items[wikilinkHint.selected]),
+        'Tab': () => acceptWikiLinkHint(wikilinkHint.items[wikilinkHint.selected]),
+        'Esc': closeWikiLinkHint
+    };
+    wikilinkHint = { element: list, items: titles, selected: 0, from: from, keyMap: keyMap };
+    editor.addKeyMap(keyMap);
+    editor.addWidget(editor.getCursor(), list, false);
+    selectWikiLinkHint(0);
+}
+
+// Re-evaluated after every edit and cursor move
+function updateWikiLinkHint() {
+    if (editor.somethingSelected() || editor.listSelections().length > 1) return closeWikiLinkHint();
+    const cursor = editor.getCursor();
+    const match = editor.getLine(cursor.line).slice(0, cursor.ch).match(WIKILINK_QUERY_REGEX);
+    if (!match) return closeWikiLinkHint();
+
+    if (!noteTitlesLoaded) {
+        // First [[ of the session: fetch the list, then suggest
+        closeWikiLinkHint();
+        loadNoteTitles().then(() => { if (noteTitlesLoaded) updateWikiLinkHint(); });
+        return;
+    }
+    const from = { line: cursor.line, ch: cursor.ch - match[1].length };
+    const titles = matchingNoteTitles(match[1]);
+    if (titles.length === 0) return closeWikiLinkHint();
+    if (wikilinkHint && wikilinkHint.from.line === from.line && wikilinkHint.from.ch === from.ch &&
+        wikilinkHint.items.join('\n') === titles.join('\n')) return;
+    showWikiLinkHint(from, titles);
+}
+
+// --- Backlinks ---
+
+// notes: [{ title, excerpt? }] or titles
+function setBacklinks(notes) {
+    const section = document.getElementById('backlinks');
+    const list = document.getElementById('backlinks-list');
+    list.innerHTML = '';
+    notes.forEach(note => {
+        const title = typeof note === 'string' ? note : note && note.title;
+        if (!title) return;
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'wikilink';
+        link.dataset.note = title.replace(/\.md$/i, '');
+        link.dataset.heading = '';
+        link.textContent = link.dataset.note;
+        item.appendChild(link);
+        if (note.excerpt) {
+            const excerpt = document.createElement('div');
+            excerpt.className = 'backlink-excerpt';
+            excerpt.textContent = note.excerpt;
+            item.appendChild(excerpt);
+        }
+        list.appendChild(item);
+    });
+    section.hidden = list.children.length === 0;
+}
+
+function initWikiLinks() {
+    document.getElementById('preview-pane').addEventListener('click', handleWikiLinkClick, true);
+
+    // 'changes' rather than inputRead: closebrackets types the second [ itself
+    editor.on('changes', (cm, changes) => {
+        if (changes.some(change => change.origin === '+input' || change.origin === '+delete' || !change.origin)) updateWikiLinkHint();
+    });
+    editor.on('cursorActivity', () => { if (wikilinkHint) updateWikiLinkHint(); });
+    editor.on('blur', closeWikiLinkHint);
+    document.addEventListener('bridgeready', loadNoteTitles);
+
+    onBridgeMessage('setNoteList', payload => setNoteTitles(payload.notes));
+    onBridgeMessage('setBacklinks', payload => setBacklinks(payload.notes));
+}
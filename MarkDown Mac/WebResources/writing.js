@@ -0,0 +1,165 @@
+// Writing Modes
+// Modes for long-form writing, switched through setViewMode (app.js):
+//
+//   focus           dims everything but the current paragraph or sentence
+//   typewriter      keeps the caret line in the middle of the editor
+//   distractionFree editor only, centred at a measure of N characters
+//
+// setViewMode({ mode: 'distractionFree', focus: 'sentence', typewriter: true, measure: 64 })
+// sets any of them at once; the toggleFocus and toggleTypewriter modes flip
+// one. Dimming is done with line classes and two text marks, so inline image
+// widgets dim with their line. The canvas layer is never dimmed and focus is
+// suspended while drawing.
+
+const FOCUS_UNITS = ['off', 'paragraph', 'sentence'];
+const DEFAULT_WRITING_MEASURE = 70; // Characters per line
+const SENTENCE_END_REGEX = /[.!?…]+["'”’)\]]*(?=\s|$)/g;
+
+const writingState = {
+    focus: 'off',
+    lastFocus: 'paragraph', // What toggleFocus turns back on
+    typewriter: false,
+    distractionFree: false,
+    measure: DEFAULT_WRITING_MEASURE,
+    lines: [],              // Line handles carrying focus-line
+    marks: []               // focus-dimmed marks around the sentence
+};
+
+// --- Focus ---
+
+function isBlankLine(line) {
+    return /^\s*$/.test(editor.getLine(line));
+}
+
+// Lines of the paragraph (blank-line delimited) around a line
+function paragraphRange(line) {
+    let from = line;
+    let to = line;
+    if (isBlankLine(line)) return { from: line, to: line };
+    while (from > 0 && !isBlankLine(from - 1)) from--;
+    while (to < editor.lastLine() && !isBlankLine(to + 1)) to++;
+    return { from: from, to: to };
+}
+
+// { from, to } positions of the sentence around the cursor in a paragraph
+function sentenceRange(paragraph, cursor) {
+    const start = { line: paragraph.from, ch: 0 };
+    const text = editor.getRange(start, { line: paragraph.to, ch: editor.getLine(paragraph.to).length });
+    const offset = editor.indexFromPos(cursor) - editor.indexFromPos(start);
+
+    let sentenceStart = 0;
+    let sentenceEnd = text.length;
+    let match;
+    SENTENCE_END_REGEX.lastIndex = 0;
+    while ((match = SENTENCE_END_REGEX.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (end < offset) {
+            sentenceStart = end;
+        } else {
+            sentenceEnd = end;
+            break;
+        }
+    }
+    while (sentenceStart < sentenceEnd && /\s/.test(text[sentenceStart])) sentenceStart++;
+
+    const base = editor.indexFromPos(start);
+    return { from: editor.posFromIndex(base + sentenceStart), to: editor.posFromIndex(base + sentenceEnd) };
+}
+
+function clearFocus() {
+    writingState.lines.forEach(handle => editor.removeLineClass(handle, 'wrap', 'focus-line'));
+    writingState.marks.forEach(mark => mark.clear());
+    writingState.lines = [];
+    writingState.marks = [];
+}
+
+function updateFocus() {
+    editor.operation(() => {
+        clearFocus();
+        if (writingState.focus === 'off') return;
+
+        const cursor = editor.getCursor();
+        const paragraph = paragraphRange(cursor.line);
+        for (let line = paragraph.from; line <= paragraph.to; line++) {
+            writingState.lines.push(editor.addLineClass(line, 'wrap', 'focus-line'));
+        }
+        if (writingState.focus !== 'sentence') return;
+
+        const sentence = sentenceRange(paragraph, cursor);
+        const paragraphStart = { line: paragraph.from, ch: 0 };
+        const paragraphEnd = { line: paragraph.to, ch: editor.getLine(paragraph.to).length };
+        if (CodeMirror.cmpPos(paragraphStart, sentence.from) < 0) {
+            writingState.marks.push(editor.markText(paragraphStart, sentence.from, { className: 'focus-dimmed' }));
+        }
+        if (CodeMirror.cmpPos(sentence.to, paragraphEnd) < 0) {
+            writingState.marks.push(editor.markText(sentence.to, paragraphEnd, { className: 'focus-dimmed' }));
+        }
+    });
+}
+
+function setFocusMode(unit) {
+    if (FOCUS_UNITS.indexOf(unit) === -1) throw bridgeError('invalid', `Unknown focus mode "${unit}"`);
+    writingState.focus = unit;
+    if (unit !== 'off') writingState.lastFocus = unit;
+    document.body.classList.toggle('focus-mode', unit !== 'off');
+    updateFocus();
+}
+
+// --- Typewriter ---
+
+function centerCursorLine() {
+    if (!writingState.typewriter) return;
+    const coords = editor.cursorCoords(null, 'local');
+    const info = editor.getScrollInfo();
+    editor.scrollTo(null, (coords.top + coords.bottom) / 2 - info.clientHeight / 2);
+}
+
+function setTypewriterMode(enabled) {
+    writingState.typewriter = enabled;
+    document.body.classList.toggle('typewriter-mode', enabled);
+    editor.refresh(); // The padding that lets the first and last lines reach the middle changed
+    centerCursorLine();
+}
+
+// --- Distraction-free ---
+
+function setWritingMeasure(measure) {
+    writingState.measure = Math.max(20, Math.round(measure));
+    document.body.style.setProperty('--writing-measure', writingState.measure + 'ch');
+    if (writingState.distractionFree) editor.refresh();
+}
+
+function setDistractionFree(enabled) {
+    if (writingState.distractionFree === enabled) return;
+    writingState.distractionFree = enabled;
+    document.body.classList.toggle('distraction-free', enabled);
+}
+
+// --- setViewMode ---
+
+// Applies the writing options of a setViewMode payload. True when the mode
+// itself was a writing toggle and there is no layout to change.
+function applyWritingMode(mode, options) {
+    if (options.measure !== undefined) setWritingMeasure(options.measure);
+    if (options.focus !== undefined) setFocusMode(options.focus);
+    if (options.typewriter !== undefined) setTypewriterMode(options.typewriter);
+
+    if (mode === 'toggleFocus') {
+        setFocusMode(writingState.focus === 'off' ? writingState.lastFocus : 'off');
+        return true;
+    }
+    if (mode === 'toggleTypewriter') {
+        setTypewriterMode(!writingState.typewriter);
+        return true;
+    }
+    return false;
+}
+
+function initWritingModes() {
+    document.body.style.setProperty('--writing-measure', writingState.measure + 'ch');
+    editor.on('cursorActivity', () => {
+        if (writingState.focus !== 'off') updateFocus();
+        centerCursorLine();
+    });
+    editor.on('refresh', centerCursorLine); // Resized or re-laid out
+}
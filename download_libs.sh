@@ -21,6 +21,16 @@ mkdir markdown xml javascript
 curl -o markdown/markdown.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/markdown/markdown.min.js
 curl -o xml/xml.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/xml/xml.min.js
 curl -o javascript/javascript.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/javascript/javascript.min.js
+
+# Fenced code languages (see code-blocks.js)
+mkdir -p python shell sql go swift yaml diff
+curl -o python/python.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/python/python.min.js
+curl -o shell/shell.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/shell/shell.min.js
+curl -o sql/sql.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/sql/sql.min.js
+curl -o go/go.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/go/go.min.js
+curl -o swift/swift.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/swift/swift.min.js
+curl -o yaml/yaml.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/yaml/yaml.min.js
+curl -o diff/diff.min.js https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.13/mode/diff/diff.min.js
 cd ..
 
 # Addons
@@ -39,6 +49,7 @@ curl -O https://cdn.jsdelivr.net/npm/markdown-it-emoji@2.0.2/dist/markdown-it-em
 curl -O https://cdn.jsdelivr.net/npm/markdown-it-sub@1.0.0/dist/markdown-it-sub.min.js
 curl -O https://cdn.jsdelivr.net/npm/markdown-it-sup@1.0.0/dist/markdown-it-sup.min.js
 curl -O https://cdn.jsdelivr.net/npm/markdown-it-footnote@3.0.3/dist/markdown-it-footnote.min.js
+curl -o markdown-it-texmath.min.js https://cdn.jsdelivr.net/npm/markdown-it-texmath@1.0.0/texmath.min.js
 
 # Highlight.js
 cd ../..
@@ -52,3 +63,14 @@ cd ../..
 mkdir -p "lib/mermaid"
 cd "lib/mermaid"
 curl -O https://cdn.jsdelivr.net/npm/mermaid@10.2.4/dist/mermaid.min.js
+
+# KaTeX (fonts: woff2 only, WebKit picks it first)
+cd ../..
+mkdir -p "lib/katex/fonts"
+cd "lib/katex"
+curl -O https://cdn.jsdelivr.net/npm/katex@0.16.47/dist/katex.min.js
+curl -O https://cdn.jsdelivr.net/npm/katex@0.16.47/dist/katex.min.css
+cd fonts
+for font in AMS-Regular Caligraphic-Bold Caligraphic-Regular Fraktur-Bold Fraktur-Regular Main-Bold Main-BoldItalic Main-Italic Main-Regular Math-BoldItalic Math-Italic SansSerif-Bold SansSerif-Italic SansSerif-Regular Script-Regular Size1-Regular Size2-Regular Size3-Regular Size4-Regular Typewriter-Regular; do
+    curl -O "https://cdn.jsdelivr.net/npm/katex@0.16.47/dist/fonts/KaTeX_${font}.woff2"
+done